@@ -8,8 +8,8 @@
  * - Minimal miniplayer with position options
  */
 
-import { saveSettingsDebounced, getRequestHeaders } from '../../../../script.js';
-import { getContext, extension_settings, ModuleWorkerWrapper } from '../../../extensions.js';
+import { saveSettingsDebounced, getRequestHeaders, eventSource, event_types, chat_metadata, substituteParams, saveChatConditional } from '../../../../script.js';
+import { getContext, extension_settings, ModuleWorkerWrapper, saveMetadataDebounced, modules, doExtrasFetch, getApiUrl } from '../../../extensions.js';
 import { registerSlashCommand } from '../../../slash-commands.js';
 import { isMobile } from '../../../RossAscends-mods.js';
 
@@ -17,6 +17,39 @@ const MODULE_NAME = 'Audio';
 const DEBUG_PREFIX = '<Audio Module>';
 const UPDATE_INTERVAL = 1000;
 const COMMAND_NAME = 'd-audio';
+const FADE_STEP_MS = 50;
+const CHAT_METADATA_KEY = 'dynamic_audio';
+const SCENE_METADATA_KEY = 'dynamic_audio_scene'; // Separate from the pinned soundtrack so unpinning keeps the scene
+const CLASSIFY_TEXT_LIMIT = 500; // Trailing characters of a message sent to the classifier
+const EMOTION_SETTLE_MS = 2000; // Wait after a new message before taking an emotion reading
+const HISTORY_LIMIT = 50; // Tracks kept in the back history
+const SEQUENCE_POSITION_LIMIT = 50; // Candidate pools whose in-order position is remembered
+
+// Shuffle weight by star rating (1-5)
+const RATING_WEIGHTS = { 1: 0.25, 2: 0.5, 3: 1, 4: 2, 5: 3 };
+const STATS_SAVE_INTERVAL = 30000; // How often accumulated listen time is written to settings
+const STATS_LIST_LIMIT = 10; // Entries shown per list in the stats dashboard
+const PLAYLIST_TITLE_MATCH = 0.7; // Minimum fuzzyMatch score when resolving playlist entries by title
+const PLAYLIST_REPORT_LIMIT = 20; // Unresolved entries listed after a playlist import
+const TAG_READ_BYTES = 262144; // Bytes fetched up front when looking for embedded tags
+const TAG_BLOCK_LIMIT = 64; // FLAC blocks / MP4 atoms walked before giving up
+const LOUDNESS_TARGET = -18; // LUFS, the ReplayGain 2 reference level
+const LOUDNESS_GAIN_LIMIT = 15; // Largest boost or cut (dB) applied to a single track
+const LOOP_SYNC_TOLERANCE = 0.5; // Seconds the muted element may drift from the loop buffer
+const LOOP_BUFFER_CACHE_BYTES = 192 * 1024 * 1024; // Decoded audio kept in memory (the latest track always stays)
+const LOOP_PREVIEW_LEAD = 3; // Seconds before the loop end where the seam preview starts
+const SILENCE_THRESHOLD_DB = -50; // Samples quieter than this count as silence when suggesting trims
+const SILENCE_PADDING = 0.05; // Seconds of silence kept around detected sound
+const BUNDLE_FORMAT = 'dynamic-audio-bundle';
+const BUNDLE_VERSION = 1;
+
+// Emotion settings carried in library bundles
+const BUNDLE_EMOTION_KEYS = [
+    'custom_emotions',
+    'emotion_mappings',
+    'emotion_fallbacks',
+    'emotion_transient',
+];
 
 // Default emotion tags - matches SillyTavern character expressions
 const EMOTION_TAGS = [
@@ -50,6 +83,76 @@ const EMOTION_TAGS = [
     'neutral'
 ];
 
+// Common sprite/expression names and the emotion tag they stand for
+const EMOTION_ALIASES = {
+    'happy': 'joy',
+    'sad': 'sadness',
+    'angry': 'anger',
+    'scared': 'fear',
+    'surprised': 'surprise',
+    'disgusted': 'disgust',
+    'loving': 'love',
+    'excited': 'excitement',
+    'nervous': 'nervousness',
+    'embarrassed': 'embarrassment',
+    'proud': 'pride',
+    'grateful': 'gratitude',
+    'curious': 'curiosity',
+    'confused': 'confusion',
+    'disappointed': 'disappointment',
+    'relieved': 'relief',
+    'annoyed': 'annoyance',
+    'amused': 'amusement',
+    'caring': 'caring',
+    'approving': 'approval',
+    'disapproving': 'disapproval',
+    'optimistic': 'optimism',
+    'remorseful': 'remorse'
+};
+
+// Similar emotions to try, in order, when no track carries the detected one
+const EMOTION_FALLBACKS = {
+    grief: ['sadness', 'remorse', 'disappointment'],
+    sadness: ['grief', 'disappointment', 'remorse'],
+    remorse: ['sadness', 'embarrassment'],
+    disappointment: ['sadness', 'disapproval', 'annoyance'],
+    anger: ['annoyance', 'disapproval', 'disgust'],
+    annoyance: ['anger', 'disapproval'],
+    disgust: ['disapproval', 'anger'],
+    disapproval: ['annoyance', 'disappointment'],
+    fear: ['nervousness', 'surprise'],
+    nervousness: ['fear', 'embarrassment', 'confusion'],
+    embarrassment: ['nervousness', 'remorse'],
+    confusion: ['curiosity', 'nervousness', 'realization'],
+    curiosity: ['confusion', 'realization', 'excitement'],
+    realization: ['surprise', 'curiosity'],
+    surprise: ['excitement', 'realization', 'fear'],
+    joy: ['amusement', 'excitement', 'optimism'],
+    amusement: ['joy', 'excitement'],
+    excitement: ['joy', 'optimism', 'surprise'],
+    optimism: ['joy', 'relief', 'approval'],
+    relief: ['gratitude', 'optimism', 'joy'],
+    gratitude: ['caring', 'admiration', 'relief'],
+    caring: ['love', 'gratitude'],
+    love: ['caring', 'desire', 'admiration'],
+    desire: ['love', 'excitement'],
+    admiration: ['approval', 'pride', 'gratitude'],
+    approval: ['admiration', 'optimism'],
+    pride: ['admiration', 'joy'],
+};
+
+// Valence/arousal groupings, tried after the explicit fallbacks
+const EMOTION_GROUPS = {
+    'positive-energetic': ['joy', 'amusement', 'excitement', 'desire', 'pride'],
+    'positive-calm': ['love', 'caring', 'gratitude', 'relief', 'optimism', 'admiration', 'approval'],
+    'negative-energetic': ['anger', 'annoyance', 'disgust', 'fear', 'nervousness', 'embarrassment'],
+    'negative-calm': ['sadness', 'grief', 'remorse', 'disappointment', 'disapproval'],
+    'neutral': ['neutral', 'curiosity', 'confusion', 'realization', 'surprise'],
+};
+
+// Tracks carrying this tag loop on the ambient channel instead of playing as music
+const AMBIENT_TAG = 'ambient';
+
 // Track Library - central storage for all discovered tracks
 const trackLibrary = {
     global: [],      // Tracks from /assets/bgm/
@@ -59,13 +162,39 @@ const trackLibrary = {
 
 // Playback state
 let currentTrack = null;
-let previousTrack = null;
+let playHistory = []; // Tracks played before the current one, oldest first
+let forwardHistory = []; // Tracks stepped back over with Previous, next one last
 let currentEmotion = 'neutral';
-let playQueue = [];
+let classifiedEmotion = null; // Latest classifier result for the last character message
+let classifiedMessageKey = null;
+let classifyPending = false;
+let emotionReadings = []; // Rolling window of raw emotion readings, oldest first
+let emotionConfidence = 1; // Share of the window agreeing with currentEmotion
+let lastRawEmotion = null;
+let lastReadingMessageKey = null;
+let readingDueAt = 0;
+let shuffleBag = []; // Tracks not yet drawn from the current shuffle pool
+let shuffleBagKey = null; // Pool the bag was filled from
+let lastPlayedAt = new Map(); // Track path -> time it last started playing
+let playQueue = []; // Tracks lined up to play before selectTrack is consulted
 let cooldownTimer = 0;
 let lastSkipDirection = 'forward';
 let isSeeking = false; // Track if user is currently seeking
+let isPaused = false; // Playback paused by the user (no auto-switching until resumed)
+let trackEndHandled = false; // Natural-end advance already started for the current track
 let lastCharacterName = null; // Track character changes for auto-rescan
+let defaultsCharacterName = null; // Character whose music defaults were last applied
+let volumeOffset = 0; // Per-character volume offset added on top of bgm_volume
+let statsSavedAt = 0; // Last time accumulated listen time was written
+let isReadingEmbeddedTags = false;
+let activeTriggerId = null; // Trigger rule matching the latest messages, if any
+let pendingSequencePosition = null; // { key, track } from the last in-order pick, stored once that track starts
+let contextSwitchPending = false; // A trigger fired or the scene changed; the module worker switches tracks
+let trackStartedInChat = false; // currentTrack was started or resumed in the open chat, so its position is this chat's
+const triggerFiredAt = new Map(); // Rule id -> time it last fired, for per-rule cooldowns
+let activeCue = null; // { type: 'tags'|'playlist', value } from the latest cue in this chat, until [bgm:auto] or another cue
+let sceneEntries = []; // { name, tags, playlist } for World Info entries active in the last generation
+let sceneGenerationPending = false; // A generation started and hasn't reported its entries yet
 
 // Default settings
 const defaultSettings = {
@@ -76,15 +205,43 @@ const defaultSettings = {
     bgm_muted: false,
     ambient_volume: 50,
     ambient_muted: false,
+    ambient_layers: [],
     
     emotion_detection: true,
+    emotion_source: 'sprite', // sprite | classify | sprite_first | classify_first
+    emotion_smoothing: 'off', // off | consecutive | dominance
+    emotion_window: 5,
+    emotion_min_consecutive: 2,
+    emotion_dominance: 60, // percent of the window
+    emotion_ignore_transient: false,
+    emotion_transient: ['surprise', 'realization', 'confusion'],
+    emotion_fallback_enabled: true,
+    emotion_fallback_groups: true,
+    emotion_fallbacks: null, // Custom fallback graph; null uses EMOTION_FALLBACKS, {} means no explicit chains
+    emotion_respects_queue: true, // Emotion changes wait until the play queue is empty
+    custom_emotions: [], // User emotion tags added on top of EMOTION_TAGS
+    emotion_mappings: {}, // Sprite/expression name -> emotion tag, checked before EMOTION_ALIASES
     instrumental_only: true,
     instrumental_include_global: true,
+    instrumental_require_scene: false, // Only play tracks carrying every scene tag of the chat
     songs_emotion_filter: 'all',
     songs_include_global: true,
     cooldown: 30,
     loop_single: false,
+    
+    // Crossfade durations in seconds (0 = hard cut)
+    crossfade_emotion: 4,
+    crossfade_manual: 1,
+    crossfade_natural: 3,
+    fade_stop: 1.5,
+    loop_repeats: 2, // Times a track's loop section plays before moving on (0 = until something else switches)
+
     shuffle: false,
+    shuffle_avoid_tracks: 3, // Don't replay a track within this many tracks (0 = off)
+    shuffle_avoid_minutes: 0, // ...or within this many minutes (0 = off)
+    shuffle_weight_recent: false, // Favor tracks that were played least recently
+    rating_weighting: true, // Higher-rated and favorite tracks come up more often in shuffle
+    sequence_positions: {}, // Pool key -> last track picked in order, so non-shuffle order survives reloads
     
     miniplayer_enabled: false,
     miniplayer_position: 'top-right',
@@ -98,8 +255,37 @@ const defaultSettings = {
     active_playlist: null,
     
     character_defaults: {},
+    profile_snapshot: null, // Global playback settings stashed while a character default is applied
+    
+    track_stats: {}, // Track path -> { plays, listen_seconds, skips, last_played, triggers: { character: { emotion: plays } } }
+    read_embedded_tags: false, // Read title/artist/album/genre from new files when scanning (downloads the start of each file)
+    embedded_tags: {}, // Track path -> genre/mood suggestions from the file; present once the file has been read
+    loudness_normalization: true, // Apply each track's measured gain so tracks play at similar loudness
+    track_loudness: {}, // Track path -> { gain, source } from loudness analysis or a ReplayGain tag
+    triggers_enabled: true,
+    cues_enabled: true, // Act on [bgm:...] cues written in messages
+    cues_hide: true, // Remove cues from the rendered message
+    scenes_enabled: true, // Narrow the selection by tags attached to active World Info entries
+    scene_mappings: [], // { name, tags, playlist } matched against entry titles and keys
+    trigger_rules: [], // { id, name, pattern, regex, scope, target, tags, playlist, effect, priority, cooldown, enabled }
 };
 
+// Playback settings that character defaults can override
+const PROFILE_KEYS = [
+    'mode',
+    'active_playlist',
+    'songs_emotion_filter',
+    'instrumental_include_global',
+    'songs_include_global',
+];
+
+// Subset of the profile that a chat can pin
+const CHAT_PROFILE_KEYS = [
+    'mode',
+    'active_playlist',
+    'songs_emotion_filter',
+];
+
 function loadSettings() {
     const debugLog = (msg) => {
         if (extension_settings.audio && extension_settings.audio.debug_mode) {
@@ -129,21 +315,52 @@ function loadSettings() {
     $('#audio_enabled').prop('checked', extension_settings.audio.enabled);
     $('#audio_mode').val(extension_settings.audio.mode);
     $('#audio_emotion_detection').prop('checked', extension_settings.audio.emotion_detection);
-    $('#audio_songs_emotion_filter').val(extension_settings.audio.songs_emotion_filter);
+    $('#audio_emotion_source').val(extension_settings.audio.emotion_source);
+    $('#audio_emotion_smoothing').val(extension_settings.audio.emotion_smoothing);
+    $('#audio_emotion_window').val(extension_settings.audio.emotion_window);
+    $('#audio_emotion_min_consecutive').val(extension_settings.audio.emotion_min_consecutive);
+    $('#audio_emotion_dominance').val(extension_settings.audio.emotion_dominance);
+    $('#audio_emotion_ignore_transient').prop('checked', extension_settings.audio.emotion_ignore_transient);
+    $('#audio_emotion_transient').val(extension_settings.audio.emotion_transient.join(', '));
+    updateSmoothingUI();
+    $('#audio_emotion_fallback_enabled').prop('checked', extension_settings.audio.emotion_fallback_enabled);
+    $('#audio_emotion_fallback_groups').prop('checked', extension_settings.audio.emotion_fallback_groups);
+    $('#audio_emotion_respects_queue').prop('checked', extension_settings.audio.emotion_respects_queue);
+    updateEmotionFilterOptions();
     $('#audio_cooldown').val(extension_settings.audio.cooldown);
+    $('#audio_triggers_enabled').prop('checked', extension_settings.audio.triggers_enabled);
+    $('#audio_cues_enabled').prop('checked', extension_settings.audio.cues_enabled);
+    $('#audio_cues_hide').prop('checked', extension_settings.audio.cues_hide);
+    $('#audio_scenes_enabled').prop('checked', extension_settings.audio.scenes_enabled);
     $('#audio_loop_single').prop('checked', extension_settings.audio.loop_single);
     $('#audio_shuffle').prop('checked', extension_settings.audio.shuffle);
+    $('#audio_shuffle_avoid_tracks').val(extension_settings.audio.shuffle_avoid_tracks);
+    $('#audio_shuffle_avoid_minutes').val(extension_settings.audio.shuffle_avoid_minutes);
+    $('#audio_shuffle_weight_recent').prop('checked', extension_settings.audio.shuffle_weight_recent);
+    $('#audio_rating_weighting').prop('checked', extension_settings.audio.rating_weighting);
     $('#audio_miniplayer_enabled').prop('checked', extension_settings.audio.miniplayer_enabled);
     $('#audio_miniplayer_position').val(extension_settings.audio.miniplayer_position);
     $('#audio_debug_mode').prop('checked', extension_settings.audio.debug_mode || false);
+    $('#audio_read_embedded_tags').prop('checked', extension_settings.audio.read_embedded_tags);
+    $('#audio_loudness_normalization').prop('checked', extension_settings.audio.loudness_normalization);
     $('#audio_show_global_tracks').prop('checked', extension_settings.audio.show_global_tracks !== false);
     $('#audio_show_only_current_character').prop('checked', extension_settings.audio.show_only_current_character || false);
     $('#audio_songs_include_global').prop('checked', extension_settings.audio.songs_include_global !== false);
     $('#audio_instrumental_include_global').prop('checked', extension_settings.audio.instrumental_include_global !== false);
+    $('#audio_instrumental_require_scene').prop('checked', extension_settings.audio.instrumental_require_scene);
     
     $('#audio_bgm_volume_slider').val(extension_settings.audio.bgm_volume);
     $('#audio_bgm_volume').text(extension_settings.audio.bgm_volume);
-    $('#audio_bgm')[0].volume = extension_settings.audio.bgm_volume * 0.01;
+    applyBgmVolume();
+    
+    $('#crossfade_emotion').val(extension_settings.audio.crossfade_emotion);
+    $('#crossfade_manual').val(extension_settings.audio.crossfade_manual);
+    $('#crossfade_natural').val(extension_settings.audio.crossfade_natural);
+    $('#fade_stop').val(extension_settings.audio.fade_stop);
+    $('#audio_loop_repeats').val(extension_settings.audio.loop_repeats);
+    
+    $('#audio_ambient_volume_slider').val(extension_settings.audio.ambient_volume);
+    $('#audio_ambient_volume').text(extension_settings.audio.ambient_volume);
     
     updateModeUI();
     updateMiniplayerVisibility();
@@ -171,12 +388,20 @@ function createMiniplayer() {
             <div class="miniplayer-controls">
                 <div class="miniplayer-volume-wrapper">
                     <div class="miniplayer-volume-popup">
-                        <input type="range" id="miniplayer_volume" min="0" max="100" value="50" orient="vertical">
+                        <input type="range" id="miniplayer_volume" class="miniplayer-volume-slider" min="0" max="100" value="50" orient="vertical">
                     </div>
                     <button class="miniplayer-btn" id="miniplayer_mute" title="Volume">
                         <i class="fa-solid fa-volume-high" id="miniplayer_mute_icon"></i>
                     </button>
                 </div>
+                <div class="miniplayer-volume-wrapper">
+                    <div class="miniplayer-volume-popup">
+                        <input type="range" id="miniplayer_ambient_volume" class="miniplayer-volume-slider" min="0" max="100" value="50" orient="vertical">
+                    </div>
+                    <button class="miniplayer-btn" id="miniplayer_ambient_mute" title="Ambience">
+                        <i class="fa-solid fa-cloud-rain" id="miniplayer_ambient_mute_icon"></i>
+                    </button>
+                </div>
                 <div class="miniplayer-progress-wrapper">
                     <input type="range" id="miniplayer_progress" min="0" max="100" value="0" step="0.1">
                 </div>
@@ -196,7 +421,7 @@ function createMiniplayer() {
         'border': '1px solid rgba(255, 255, 255, 0.08)',
         'border-radius': '16px',
         'padding': '4px 8px',
-        'width': '150px',
+        'width': '180px',
         'box-shadow': '0 2px 12px rgba(0, 0, 0, 0.2)',
         'opacity': '0.4',
         'transition': 'opacity 0.2s ease'
@@ -233,8 +458,8 @@ function createMiniplayer() {
         'box-shadow': '0 4px 12px rgba(0, 0, 0, 0.5)'
     });
     
-    // Vertical volume slider
-    miniplayer.find('#miniplayer_volume').css({
+    // Vertical volume sliders (music and ambience)
+    miniplayer.find('.miniplayer-volume-slider').css({
         'writing-mode': 'bt-lr',
         '-webkit-appearance': 'slider-vertical',
         'width': '6px',
@@ -321,7 +546,7 @@ function createMiniplayer() {
     
     miniplayer.find('#miniplayer_mute').on('click', () => {
         extension_settings.audio.bgm_muted = !extension_settings.audio.bgm_muted;
-        $('#audio_bgm')[0].muted = extension_settings.audio.bgm_muted;
+        applyBgmVolume();
         
         const icon = extension_settings.audio.bgm_muted ? 'fa-volume-mute' : 'fa-volume-high';
         $('#miniplayer_mute_icon').removeClass('fa-volume-high fa-volume-mute').addClass(icon);
@@ -333,7 +558,7 @@ function createMiniplayer() {
     miniplayer.find('#miniplayer_volume').on('input', function() {
         const volume = parseInt($(this).val());
         extension_settings.audio.bgm_volume = volume;
-        $('#audio_bgm')[0].volume = volume * 0.01;
+        applyBgmVolume();
         
         $('#audio_bgm_volume_slider').val(volume);
         $('#audio_bgm_volume').text(volume);
@@ -353,6 +578,12 @@ function createMiniplayer() {
         saveSettingsDebounced();
     });
     
+    miniplayer.find('#miniplayer_ambient_mute').on('click', onAmbientMuteClick);
+    
+    miniplayer.find('#miniplayer_ambient_volume').on('input', function() {
+        setAmbientVolume(parseInt($(this).val()));
+    });
+    
     // Progress seeking
     let miniplayerSeeking = false;
     
@@ -365,11 +596,9 @@ function createMiniplayer() {
         miniplayerSeeking = false;
         isSeeking = false;
         
-        const audio = $('#audio_bgm')[0];
+        const audio = getBgmPlayer();
         if (audio.duration) {
-            const percent = parseFloat($('#miniplayer_progress').val());
-            const newTime = (percent / 100) * audio.duration;
-            audio.currentTime = newTime;
+            audio.currentTime = getSeekTime(audio, parseFloat($('#miniplayer_progress').val()));
         }
     });
     
@@ -454,20 +683,23 @@ function updateMiniplayerContent() {
     // Update both icons to stay in sync
     miniplayer.find('#miniplayer_mute_icon').removeClass('fa-volume-high fa-volume-low fa-volume-mute').addClass(icon);
     $('#audio_bgm_mute_icon').removeClass('fa-volume-high fa-volume-low fa-volume-mute').addClass(icon);
+    
+    // Ambience controls
+    miniplayer.find('#miniplayer_ambient_volume').val(extension_settings.audio.ambient_volume);
+    updateAmbientMuteIcons();
 }
 
 function updateMiniplayerProgress() {
     const miniplayer = $('#audio_miniplayer');
     if (miniplayer.length === 0 || isSeeking) return;
     
-    const audio = $('#audio_bgm')[0];
+    const audio = getBgmPlayer();
     if (!audio || !audio.duration) {
         miniplayer.find('#miniplayer_progress').val(0);
         return;
     }
     
-    const percent = (audio.currentTime / audio.duration) * 100;
-    miniplayer.find('#miniplayer_progress').val(percent);
+    miniplayer.find('#miniplayer_progress').val(getPlaybackProgress(audio).percent);
 }
 
 function updateMiniplayerVisibility() {
@@ -525,6 +757,78 @@ function cleanFilename(filename) {
     return cleaned;
 }
 
+function parseTagList(text) {
+    return (text || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+function getTrackTitle(path) {
+    const metadata = trackLibrary.metadata[path] || {};
+    return metadata.title || path.split('/').pop();
+}
+
+function encodeTrackPath(path) {
+    return path.split('/').map((part, index) => {
+        return index === 0 ? part : encodeURIComponent(part);
+    }).join('/');
+}
+
+function downloadJson(filename, data) {
+    downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function updateTrackMetadata(path, changes) {
+    trackLibrary.metadata[path] = { tags: [], title: '', ...trackLibrary.metadata[path], ...changes };
+    saveMetadata();
+    updateTrackList();
+}
+
+// Clicking the current rating again clears it
+function setTrackRating(path, rating) {
+    const current = (trackLibrary.metadata[path] || {}).rating || 0;
+    updateTrackMetadata(path, { rating: current === rating ? 0 : rating });
+}
+
+function toggleTrackFavorite(path) {
+    updateTrackMetadata(path, { favorite: !(trackLibrary.metadata[path] || {}).favorite });
+}
+
+function toggleTrackNeverPlay(path) {
+    updateTrackMetadata(path, { never_play: !(trackLibrary.metadata[path] || {}).never_play });
+}
+
+function isTrackBanned(path, characterName) {
+    const metadata = trackLibrary.metadata[path] || {};
+    if (metadata.never_play) return true;
+    
+    const name = (characterName || '').toLowerCase();
+    return Boolean(name) && (metadata.banned_characters || []).some(character => character.toLowerCase() === name);
+}
+
+// Ambient loops never play on the music channel, and banned tracks never play at all
+function isMusicCandidate(path, characterName) {
+    return !isAmbientTrack(path) && !isTrackBanned(path, characterName);
+}
+
+/**
+ * Relative chance of a track being drawn in shuffle. Unrated tracks count as
+ * three stars, and favorites get double weight.
+ */
+function getRatingWeight(path) {
+    const metadata = trackLibrary.metadata[path] || {};
+    const weight = RATING_WEIGHTS[metadata.rating || 3];
+    return metadata.favorite ? weight * 2 : weight;
+}
+
 async function scanTracks() {
     const debugLog = (msg) => {
         if (extension_settings.audio.debug_mode) {
@@ -560,6 +864,13 @@ async function scanTracks() {
         await loadMetadata();
         updateTrackList();
         
+        // Runs in the background; only files that were never read
+        if (extension_settings.audio.read_embedded_tags) {
+            const unread = [...trackLibrary.global, ...Object.values(trackLibrary.character).flat()]
+                .filter(path => !(path in extension_settings.audio.embedded_tags));
+            readEmbeddedTagsForTracks(unread);
+        }
+        
     } catch (error) {
         console.error(DEBUG_PREFIX, 'Error scanning tracks:', error);
     }
@@ -662,19 +973,32 @@ function updateTrackList() {
         const allTags = metadata.tags || [];
         
         // Filter out instrumental and emotion tags - only show custom tags
-        const displayTags = allTags.filter(t => t !== 'instrumental' && !EMOTION_TAGS.includes(t));
+        const displayTags = allTags.filter(t => t !== 'instrumental' && !isEmotionTag(t));
         
-        const isCurrentTrack = (currentTrack === path);
+        // Active ambient layers are highlighted the same way as the current music track
+        const isCurrentTrack = (currentTrack === path) || extension_settings.audio.ambient_layers.includes(path);
         
         const item = $(`
             <div class="track-item ${isCurrentTrack ? 'current-track' : ''}" data-path="${path}">
                 <div class="track-content">
                     <div class="track-title" data-path="${path}" style="cursor: pointer;">${metadata.title || filename}</div>
-                    <div class="track-source">${source}</div>
+                    <div class="track-source">${source}${metadata.artist ? ` • ${metadata.artist}` : ''}</div>
+                    <div class="track-rating" style="display: flex; align-items: center; gap: 0.2em; margin-top: 0.15em; font-size: 0.8em;">
+                        ${[1, 2, 3, 4, 5].map(star => `<i class="${star <= (metadata.rating || 0) ? 'fa-solid' : 'fa-regular'} fa-star rate-track" data-path="${path}" data-rating="${star}" title="Rate ${star}" style="cursor: pointer; color: #fcc419;"></i>`).join('')}
+                        <i class="${metadata.favorite ? 'fa-solid' : 'fa-regular'} fa-heart favorite-track" data-path="${path}" title="Favorite" style="cursor: pointer; color: #ff6b6b; margin-left: 0.4em;"></i>
+                        <i class="fa-solid fa-ban ban-track" data-path="${path}" title="${metadata.never_play ? 'Allow playing' : 'Never play'}" style="cursor: pointer; margin-left: 0.4em; opacity: ${metadata.never_play ? '1' : '0.3'}; color: ${metadata.never_play ? '#ff6b6b' : ''};"></i>
+                    </div>
                     <div class="track-tags">
                         ${displayTags.map(t => `<span class="tag">${t}</span>`).join('')}
                     </div>
                 </div>
+                ${isAmbientTrack(path) ? '' : `
+                <button class="menu_button menu_button_icon queue-next" data-path="${path}" title="Play next">
+                    <i class="fa-solid fa-turn-up"></i>
+                </button>
+                <button class="menu_button menu_button_icon queue-add" data-path="${path}" title="Add to queue">
+                    <i class="fa-solid fa-list-ol"></i>
+                </button>`}
                 <button class="menu_button menu_button_icon edit-track" data-path="${path}">
                     <i class="fa-solid fa-edit"></i>
                 </button>
@@ -690,6 +1014,11 @@ function updateTrackList() {
             'transition': 'background-color 0.2s ease'
         });
         
+        // Banned tracks stay listed but dimmed
+        if (isTrackBanned(path, currentCharacter)) {
+            item.find('.track-content').css('opacity', '0.5');
+        }
+        
         // Highlight current track
         if (isCurrentTrack) {
             item.css({
@@ -742,7 +1071,7 @@ function updateTrackList() {
             'display': 'inline-block'
         });
         
-        item.find('.edit-track').css({
+        item.find('.edit-track, .queue-next, .queue-add').css({
             'flex-shrink': '0'
         });
         
@@ -761,8 +1090,12 @@ function updateTrackList() {
             saveSettingsDebounced();
         }
         
-        // Play the selected track
-        playTrack(path);
+        // Ambient tracks are layered on the ambient channel instead of replacing the music
+        if (isAmbientTrack(path)) {
+            toggleAmbientLayer(path);
+        } else {
+            playTrack(path);
+        }
         
         // Visual feedback
         const title = $(this);
@@ -776,6 +1109,417 @@ function updateTrackList() {
         const path = $(this).data('path');
         openTrackEditor(path);
     });
+    
+    $('.rate-track').on('click', function() {
+        setTrackRating($(this).data('path'), Number($(this).data('rating')));
+    });
+    
+    $('.favorite-track').on('click', function() {
+        toggleTrackFavorite($(this).data('path'));
+    });
+    
+    $('.ban-track').on('click', function() {
+        toggleTrackNeverPlay($(this).data('path'));
+    });
+    
+    $('.queue-next').on('click', function() {
+        enqueueTrack($(this).data('path'), true);
+    });
+    
+    $('.queue-add').on('click', function() {
+        enqueueTrack($(this).data('path'));
+    });
+}
+
+// ============================================
+// EMBEDDED TAGS
+// ============================================
+
+const ID3_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TCON: 'genre', TCO: 'genre',
+    TMOO: 'mood',
+    TXXX: 'custom', TXX: 'custom',
+};
+
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    GENRE: 'genre',
+    MOOD: 'mood',
+    REPLAYGAIN_TRACK_GAIN: 'replaygain',
+    R128_TRACK_GAIN: 'r128',
+};
+
+// Free-text ID3 (TXXX) and MP4 (----) fields we understand, by lowercased name
+const CUSTOM_TAG_FIELDS = {
+    mood: 'mood',
+    replaygain_track_gain: 'replaygain',
+};
+
+const MP4_FIELDS = {
+    '\u00a9nam': 'title',
+    '\u00a9ART': 'artist',
+    '\u00a9alb': 'album',
+    '\u00a9gen': 'genre',
+};
+
+async function fetchTrackBytes(path, start, length) {
+    const response = await fetch(encodeTrackPath(path), {
+        headers: { Range: `bytes=${start}-${start + length - 1}` },
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    // A server that ignores Range sends the whole file
+    return response.status === 206 ? bytes : bytes.subarray(start, start + length);
+}
+
+async function sliceOrFetch(path, head, start, length) {
+    return start + length <= head.length ? head.subarray(start, start + length) : fetchTrackBytes(path, start, length);
+}
+
+function readLatin1(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint32BE(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+function readSyncsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+function createTagResult() {
+    return { title: '', artist: '', album: '', genres: [], moods: [], replayGain: null };
+}
+
+function addTagValue(result, field, value) {
+    const text = (value || '').trim();
+    if (!text) return;
+    
+    if (field === 'replaygain' || field === 'r128') {
+        // R128 gains are Q7.8 fixed point relative to -23 LUFS
+        const gain = field === 'r128' ? Number(text) / 256 + (LOUDNESS_TARGET + 23) : parseFloat(text);
+        if (result.replayGain === null && isFinite(gain)) {
+            result.replayGain = gain;
+        }
+    } else if (field === 'genre' || field === 'mood') {
+        // ID3 genres can carry numeric references like "(17)Rock"; bare numbers are dropped
+        const list = field === 'genre' ? result.genres : result.moods;
+        text.replace(/\(\d+\)/g, '').split(/[;\/]/).map(item => item.trim())
+            .filter(item => item && !/^\d+$/.test(item) && !list.includes(item))
+            .forEach(item => list.push(item));
+    } else if (!result[field]) {
+        result[field] = text;
+    }
+}
+
+// ID3 text: an encoding byte, then one or more null-separated strings
+function decodeId3Text(content) {
+    const encoding = content[0];
+    const data = content.subarray(1);
+    let text;
+    
+    if (encoding === 1 || encoding === 2) {
+        const bigEndian = encoding === 2 || (data[0] === 0xfe && data[1] === 0xff);
+        text = new TextDecoder(bigEndian ? 'utf-16be' : 'utf-16le').decode(data);
+    } else {
+        text = new TextDecoder(encoding === 3 ? 'utf-8' : 'iso-8859-1').decode(data);
+    }
+    
+    return text.replace(/\uFEFF/g, '').split('\u0000');
+}
+
+async function readId3Tags(path, head) {
+    const version = head[3];
+    const size = readSyncsafe(head, 6);
+    const bytes = await sliceOrFetch(path, head, 0, size + 10);
+    const result = createTagResult();
+    
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    let offset = 10;
+    
+    // Skip the extended header
+    if (head[5] & 0x40) {
+        offset += version === 4 ? readSyncsafe(bytes, 10) : readUint32BE(bytes, 10) + 4;
+    }
+    
+    while (offset + headerLength <= bytes.length) {
+        const id = readLatin1(bytes, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Reached the padding
+        
+        let frameSize;
+        if (version === 2) {
+            frameSize = (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5];
+        } else {
+            frameSize = version === 4 ? readSyncsafe(bytes, offset + 4) : readUint32BE(bytes, offset + 4);
+        }
+        
+        const content = bytes.subarray(offset + headerLength, offset + headerLength + frameSize);
+        offset += headerLength + frameSize;
+        
+        const field = ID3_FRAMES[id];
+        if (!field || content.length === 0) continue;
+        
+        const values = decodeId3Text(content);
+        if (field === 'custom') {
+            // TXXX: a description, then the value
+            const custom = CUSTOM_TAG_FIELDS[values[0].trim().toLowerCase()];
+            if (custom) {
+                values.slice(1).forEach(value => addTagValue(result, custom, value));
+            }
+        } else {
+            values.forEach(value => addTagValue(result, field, value));
+        }
+    }
+    
+    return result;
+}
+
+function parseVorbisComment(bytes, start = 0) {
+    const decoder = new TextDecoder('utf-8');
+    const result = createTagResult();
+    
+    let offset = start + 4 + readUint32LE(bytes, start); // Skip the vendor string
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+    
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32LE(bytes, offset);
+        const comment = decoder.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+        
+        const separator = comment.indexOf('=');
+        const field = separator !== -1 && VORBIS_FIELDS[comment.slice(0, separator).toUpperCase()];
+        if (field) {
+            addTagValue(result, field, comment.slice(separator + 1));
+        }
+    }
+    
+    return result;
+}
+
+async function readFlacTags(path, head) {
+    let offset = 4;
+    
+    for (let i = 0; i < TAG_BLOCK_LIMIT; i++) {
+        const header = await sliceOrFetch(path, head, offset, 4);
+        const isLast = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7f;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+        
+        if (type === 4) {
+            return parseVorbisComment(await sliceOrFetch(path, head, offset + 4, length));
+        }
+        if (isLast) break;
+        offset += 4 + length;
+    }
+    
+    return null;
+}
+
+// Ogg Vorbis and Opus keep Vorbis comments in the second packet, right after the first page
+function readOggTags(head) {
+    const chunks = [];
+    let offset = 0;
+    
+    while (offset + 27 <= head.length && readLatin1(head, offset, 4) === 'OggS') {
+        const segments = head[offset + 26];
+        const dataStart = offset + 27 + segments;
+        const dataLength = head.subarray(offset + 27, dataStart).reduce((sum, size) => sum + size, 0);
+        chunks.push(head.subarray(dataStart, dataStart + dataLength));
+        offset = dataStart + dataLength;
+    }
+    
+    const data = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    chunks.reduce((position, chunk) => {
+        data.set(chunk, position);
+        return position + chunk.length;
+    }, 0);
+    
+    const text = readLatin1(data, 0, Math.min(data.length, 4096));
+    for (const signature of ['\u0003vorbis', 'OpusTags']) {
+        const index = text.indexOf(signature);
+        if (index !== -1) {
+            return parseVorbisComment(data, index + signature.length);
+        }
+    }
+    
+    return null;
+}
+
+function findMp4Atom(bytes, type, start = 0, end = bytes.length) {
+    let offset = start;
+    
+    while (offset + 8 <= end) {
+        const size = readUint32BE(bytes, offset);
+        if (readLatin1(bytes, offset + 4, 4) === type) {
+            return { start: offset + 8, end: Math.min(offset + size, end) };
+        }
+        if (size < 8) break;
+        offset += size;
+    }
+    
+    return null;
+}
+
+function readMp4Value(bytes, item) {
+    const data = findMp4Atom(bytes, 'data', item.start, item.end);
+    // Skip the type indicator and locale
+    return data ? new TextDecoder('utf-8').decode(bytes.subarray(data.start + 8, data.end)) : '';
+}
+
+function parseMp4Metadata(moov) {
+    const udta = findMp4Atom(moov, 'udta');
+    const meta = udta && findMp4Atom(moov, 'meta', udta.start, udta.end);
+    // meta is a full atom: 4 bytes of version and flags before its children
+    const ilst = meta && findMp4Atom(moov, 'ilst', meta.start + 4, meta.end);
+    if (!ilst) return null;
+    
+    const result = createTagResult();
+    let offset = ilst.start;
+    
+    while (offset + 8 <= ilst.end) {
+        const size = readUint32BE(moov, offset);
+        if (size < 8) break;
+        
+        const type = readLatin1(moov, offset + 4, 4);
+        const item = { start: offset + 8, end: offset + size };
+        offset += size;
+        
+        if (MP4_FIELDS[type]) {
+            addTagValue(result, MP4_FIELDS[type], readMp4Value(moov, item));
+        } else if (type === '----') {
+            // Freeform atom: the name atom says which field the data belongs to
+            const name = findMp4Atom(moov, 'name', item.start, item.end);
+            const custom = name && CUSTOM_TAG_FIELDS[readLatin1(moov, name.start + 4, name.end - name.start - 4).toLowerCase()];
+            if (custom) {
+                addTagValue(result, custom, readMp4Value(moov, item));
+            }
+        }
+    }
+    
+    return result;
+}
+
+async function readMp4Tags(path, head) {
+    let offset = 0;
+    
+    for (let i = 0; i < TAG_BLOCK_LIMIT; i++) {
+        const header = await sliceOrFetch(path, head, offset, 16);
+        if (header.length < 8) break;
+        
+        let size = readUint32BE(header, 0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = readUint32BE(header, 8) * 2 ** 32 + readUint32BE(header, 12);
+            headerSize = 16;
+        }
+        if (size < headerSize) break; // 0 means "to end of file", which can't hold a later moov
+        
+        if (readLatin1(header, 4, 4) === 'moov') {
+            return parseMp4Metadata(await sliceOrFetch(path, head, offset + headerSize, size - headerSize));
+        }
+        offset += size;
+    }
+    
+    return null;
+}
+
+/**
+ * Reads title/artist/album/genre/mood and ReplayGain from an MP3 (ID3v2),
+ * FLAC, Ogg or M4A file, fetching only the parts of the file that hold the tags.
+ * @returns {Promise<{title: string, artist: string, album: string, genres: string[], moods: string[], replayGain: number|null}|null>}
+ */
+async function readEmbeddedTags(path) {
+    const head = await fetchTrackBytes(path, 0, TAG_READ_BYTES);
+    const magic = readLatin1(head, 0, 4);
+    
+    if (magic.startsWith('ID3')) return readId3Tags(path, head);
+    if (magic === 'fLaC') return readFlacTags(path, head);
+    if (magic === 'OggS') return readOggTags(head);
+    if (readLatin1(head, 4, 4) === 'ftyp') return readMp4Tags(path, head);
+    return null;
+}
+
+function getSuggestedTags(embedded) {
+    return [...new Set([...embedded.genres, ...embedded.moods].map(tag => tag.toLowerCase()))];
+}
+
+// Only empty fields are filled, so anything the user typed stays as it is
+// Only files that actually had a title, artist or album get a metadata entry, so untouched
+// tracks stay free for /d-audio migrate and library imports
+function applyEmbeddedTags(path, embedded) {
+    const existing = trackLibrary.metadata[path] || {};
+    const filled = {};
+    
+    if (embedded) {
+        ['title', 'artist', 'album'].forEach(field => {
+            if (!existing[field] && embedded[field]) {
+                filled[field] = embedded[field];
+            }
+        });
+    }
+    
+    if (Object.keys(filled).length > 0) {
+        trackLibrary.metadata[path] = { tags: [], title: '', ...existing, ...filled };
+    }
+    
+    const tags = existing.tags || [];
+    extension_settings.audio.embedded_tags[path] = embedded ? getSuggestedTags(embedded).filter(tag => !tags.includes(tag)) : [];
+}
+
+// Re-reads every file, still only filling fields that are empty
+async function readAllEmbeddedTags() {
+    if (isReadingEmbeddedTags) return 'Already reading embedded tags';
+    
+    const paths = [...trackLibrary.global, ...Object.values(trackLibrary.character).flat()];
+    const found = await readEmbeddedTagsForTracks(paths);
+    const summary = `Read embedded tags from ${found} of ${paths.length} tracks`;
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, summary);
+    }
+    return summary;
+}
+
+async function readEmbeddedTagsForTracks(paths) {
+    if (isReadingEmbeddedTags || paths.length === 0) return 0;
+    isReadingEmbeddedTags = true;
+    
+    let found = 0;
+    try {
+        for (const path of paths) {
+            try {
+                const embedded = await readEmbeddedTags(path);
+                applyEmbeddedTags(path, embedded);
+                if (embedded) found++;
+            } catch (error) {
+                if (extension_settings.audio.debug_mode) {
+                    console.warn(DEBUG_PREFIX, `Could not read tags from ${path}:`, error);
+                }
+            }
+        }
+        
+        saveMetadata();
+        updateTrackList();
+    } finally {
+        isReadingEmbeddedTags = false;
+    }
+    
+    return found;
 }
 
 // ============================================
@@ -799,6 +1543,33 @@ function fuzzyMatch(str1, str2) {
     return intersection.size / union.size;
 }
 
+/**
+ * Finds the current track most likely to be `oldPath` after a rename or a
+ * move to another folder. An identical filename always wins.
+ * @param {(path: string) => boolean} isTaken - tracks that can't be matched
+ * @returns {{path: string, score: number}|null}
+ */
+function findTrackMatch(oldPath, currentTracks, isTaken) {
+    const oldFilename = oldPath.split('/').pop();
+    
+    let bestMatch = null;
+    let bestScore = 0;
+    
+    currentTracks.forEach(newPath => {
+        if (isTaken(newPath)) return;
+        
+        const newFilename = newPath.split('/').pop();
+        const score = newFilename.toLowerCase() === oldFilename.toLowerCase() ? 1 : fuzzyMatch(oldFilename, newFilename);
+        
+        if (score > bestScore && score > 0.3) {
+            bestScore = score;
+            bestMatch = newPath;
+        }
+    });
+    
+    return bestMatch ? { path: bestMatch, score: bestScore } : null;
+}
+
 function migrateMetadata() {
     // Get all current tracks
     const currentTracks = [
@@ -818,35 +1589,19 @@ function migrateMetadata() {
         return 'No orphaned metadata found. All tracks are accounted for!';
     }
     
-    // Find potential matches
+    // Find potential matches (skipping tracks that already have metadata)
     const suggestions = [];
     Object.entries(orphanedMetadata).forEach(([oldPath, metadata]) => {
-        const oldFilename = oldPath.split('/').pop();
-        
-        let bestMatch = null;
-        let bestScore = 0;
-        
-        currentTracks.forEach(newPath => {
-            // Skip if this track already has metadata
-            if (trackLibrary.metadata[newPath]) return;
-            
-            const newFilename = newPath.split('/').pop();
-            const score = fuzzyMatch(oldFilename, newFilename);
-            
-            if (score > bestScore && score > 0.3) {
-                bestScore = score;
-                bestMatch = newPath;
-            }
-        });
+        const match = findTrackMatch(oldPath, currentTracks, newPath => Boolean(trackLibrary.metadata[newPath]));
         
-        if (bestMatch) {
+        if (match) {
             suggestions.push({
                 oldPath,
-                newPath: bestMatch,
-                oldFilename,
-                newFilename: bestMatch.split('/').pop(),
+                newPath: match.path,
+                oldFilename: oldPath.split('/').pop(),
+                newFilename: match.path.split('/').pop(),
                 metadata,
-                score: bestScore
+                score: match.score
             });
         }
     });
@@ -983,8 +1738,9 @@ function openTrackEditor(trackPath) {
     
     // Separate instrumental, emotions, and other tags
     const isInstrumental = (metadata.tags || []).includes('instrumental');
-    const emotionTags = (metadata.tags || []).filter(t => EMOTION_TAGS.includes(t));
-    const otherTags = (metadata.tags || []).filter(t => t !== 'instrumental' && !EMOTION_TAGS.includes(t));
+    const isAmbient = (metadata.tags || []).includes(AMBIENT_TAG);
+    const emotionTags = (metadata.tags || []).filter(t => isEmotionTag(t));
+    const otherTags = (metadata.tags || []).filter(t => t !== 'instrumental' && t !== AMBIENT_TAG && !isEmotionTag(t));
     
     const backdrop = $('<div class="audio-modal-backdrop"></div>');
     backdrop.css({
@@ -998,7 +1754,7 @@ function openTrackEditor(trackPath) {
         'backdrop-filter': 'blur(4px)'
     });
     
-    const emotionCheckboxes = EMOTION_TAGS.map(emotion => {
+    const emotionCheckboxes = getEmotionTags().map(emotion => {
         const checked = emotionTags.includes(emotion);
         return `
             <label class="checkbox_label" style="display: flex; align-items: center; width: 32%; margin: 0.15em 0; font-size: 0.9em; gap: 0.3em;">
@@ -1024,11 +1780,99 @@ function openTrackEditor(trackPath) {
                 <small style="opacity: 0.7; font-size: 0.85em;">This is how the track will appear in lists and the miniplayer</small>
             </div>
             
+            <div style="margin-bottom: 1em; display: flex; gap: 0.5em;">
+                <div style="flex: 1;">
+                    <label for="track_artist" style="display: block; margin-bottom: 0.3em;">Artist</label>
+                    <input type="text" class="text_pole" id="track_artist">
+                </div>
+                <div style="flex: 1;">
+                    <label for="track_album" style="display: block; margin-bottom: 0.3em;">Album</label>
+                    <input type="text" class="text_pole" id="track_album">
+                </div>
+                <button class="menu_button menu_button_icon" id="read_track_tags" title="Fill empty fields from the file's embedded tags" style="align-self: flex-end;">
+                    <i class="fa-solid fa-tag"></i>
+                </button>
+            </div>
+            
+            <div style="margin-bottom: 1em;">
+                <label style="display: block; margin-bottom: 0.3em;">Rating</label>
+                <div id="track_rating" style="display: flex; align-items: center; gap: 0.3em; font-size: 1.1em;">
+                    ${[1, 2, 3, 4, 5].map(star => `<i class="fa-star track-rating-star" data-rating="${star}" style="cursor: pointer; color: #fcc419;"></i>`).join('')}
+                </div>
+                <label class="checkbox_label" for="track_favorite" style="margin-top: 0.3em;">
+                    <input type="checkbox" id="track_favorite" ${metadata.favorite ? 'checked' : ''}>
+                    <span>Favorite</span>
+                </label>
+                <label class="checkbox_label" for="track_never_play">
+                    <input type="checkbox" id="track_never_play" ${metadata.never_play ? 'checked' : ''}>
+                    <span>Never play automatically</span>
+                </label>
+                <label for="track_banned_characters" style="display: block; margin: 0.3em 0;">Not for these characters (comma-separated)</label>
+                <input type="text" class="text_pole" id="track_banned_characters" value="${(metadata.banned_characters || []).join(', ')}" placeholder="e.g. Alice, Bob">
+            </div>
+            
+            <div style="margin-bottom: 1em;">
+                <label for="track_gain_trim" style="display: block; margin-bottom: 0.3em;">Volume trim (dB)</label>
+                <div style="display: flex; align-items: center; gap: 0.5em;">
+                    <input type="number" class="text_pole" id="track_gain_trim" min="-12" max="12" step="0.5" value="${metadata.gain_trim || 0}" style="width: 6em;">
+                    <small id="track_loudness" style="flex: 1; opacity: 0.7;">${describeLoudness(extension_settings.audio.track_loudness[trackPath])}</small>
+                    <button class="menu_button menu_button_icon" id="analyze_track_loudness" title="Measure this track's loudness">
+                        <i class="fa-solid fa-wave-square"></i>
+                    </button>
+                </div>
+                <small style="opacity: 0.7; font-size: 0.85em;">Added on top of the automatic loudness gain</small>
+            </div>
+            
+            <div style="margin-bottom: 1em;">
+                <label style="display: block; margin-bottom: 0.3em;">Trim and loop points (seconds)</label>
+                <div style="display: flex; align-items: center; gap: 0.5em;">
+                    <button class="menu_button menu_button_icon" id="loop_scrub_play" title="Play / pause">
+                        <i class="fa-solid fa-play"></i>
+                    </button>
+                    <input type="range" id="loop_scrubber" min="0" max="0" step="0.01" value="0" style="flex: 1; cursor: pointer;">
+                    <span id="loop_scrub_time" style="min-width: 4.5em; text-align: right; font-size: 0.85em;">0:00.00</span>
+                </div>
+                
+                <div style="display: flex; align-items: center; gap: 0.5em; margin-top: 0.5em;">
+                    <span style="min-width: 3em; font-size: 0.85em;">Trim</span>
+                    <button class="menu_button set-scrub-point" data-target="#track_trim_start" title="Use the scrubber position">Start</button>
+                    <input type="number" class="text_pole" id="track_trim_start" min="0" step="0.01" value="${metadata.trim_start || ''}" placeholder="0" style="flex: 1;">
+                    <button class="menu_button set-scrub-point" data-target="#track_trim_end" title="Use the scrubber position">End</button>
+                    <input type="number" class="text_pole" id="track_trim_end" min="0" step="0.01" value="${metadata.trim_end ?? ''}" placeholder="end" style="flex: 1;">
+                    <button class="menu_button menu_button_icon" id="preview_trim_start" title="Play from the trim start">
+                        <i class="fa-solid fa-backward-step"></i>
+                    </button>
+                    <button class="menu_button menu_button_icon" id="preview_trim_end" title="Play the last seconds before the trim end">
+                        <i class="fa-solid fa-forward-step"></i>
+                    </button>
+                    <button class="menu_button menu_button_icon" id="detect_silence" title="Suggest trims from leading and trailing silence">
+                        <i class="fa-solid fa-wand-magic-sparkles"></i>
+                    </button>
+                </div>
+                <small id="trim_suggestion" style="opacity: 0.7; font-size: 0.85em;">Playback starts at the trim start, and the track counts as finished at the trim end.</small>
+                
+                <div style="display: flex; align-items: center; gap: 0.5em; margin-top: 0.5em;">
+                    <span style="min-width: 3em; font-size: 0.85em;">Loop</span>
+                    <button class="menu_button set-scrub-point" data-target="#track_loop_start" title="Use the scrubber position">Start</button>
+                    <input type="number" class="text_pole" id="track_loop_start" min="0" step="0.01" value="${metadata.loop_start ?? ''}" placeholder="none" style="flex: 1;">
+                    <button class="menu_button set-scrub-point" data-target="#track_loop_end" title="Use the scrubber position">End</button>
+                    <input type="number" class="text_pole" id="track_loop_end" min="0" step="0.01" value="${metadata.loop_end ?? ''}" placeholder="none" style="flex: 1;">
+                    <button class="menu_button menu_button_icon" id="preview_loop" title="Hear the seam: plays up to the loop end and wraps around">
+                        <i class="fa-solid fa-repeat"></i>
+                    </button>
+                </div>
+                <small style="opacity: 0.7; font-size: 0.85em;">Everything before the start plays once as an intro; the part between start and end repeats seamlessly. Leave both empty for no loop.</small>
+            </div>
+            
             <div style="margin-bottom: 1em;">
                 <label class="checkbox_label" for="track_instrumental">
                     <input type="checkbox" id="track_instrumental" ${isInstrumental ? 'checked' : ''}>
                     <span>Instrumental (no vocals)</span>
                 </label>
+                <label class="checkbox_label" for="track_ambient">
+                    <input type="checkbox" id="track_ambient" ${isAmbient ? 'checked' : ''}>
+                    <span>Ambient loop (rain, chatter, wind - plays on the ambience channel)</span>
+                </label>
             </div>
             
             <div style="margin-bottom: 1em;">
@@ -1052,6 +1896,7 @@ function openTrackEditor(trackPath) {
                 <label for="track_tags" style="display: block; margin-bottom: 0.3em;">Other Tags (comma-separated)</label>
                 <input type="text" class="text_pole" id="track_tags" value="${otherTags.join(', ')}" placeholder="e.g. action, ambient, battle, romance">
                 <small style="opacity: 0.7; font-size: 0.85em;">For non-emotion descriptors</small>
+                <div id="track_suggested_tags" style="display: flex; flex-wrap: wrap; gap: 0.25em; margin-top: 0.3em;"></div>
             </div>
             
             <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
@@ -1083,13 +1928,240 @@ function openTrackEditor(trackPath) {
     
     setTimeout(() => $('#track_title').focus(), 100);
     
-    // Auto-expand emotions if any are selected
-    if (emotionTags.length > 0) {
-        $('#emotion_selector').show();
-        $('#toggle_emotions i').removeClass('fa-chevron-down').addClass('fa-chevron-up');
+    // Set via val() so quotes in names survive
+    $('#track_artist').val(metadata.artist || '');
+    $('#track_album').val(metadata.album || '');
+    
+    let suggestedTags = extension_settings.audio.embedded_tags[trackPath] || [];
+    function updateSuggestedTags() {
+        const current = parseTagList($('#track_tags').val());
+        const container = $('#track_suggested_tags');
+        container.empty();
+        
+        suggestedTags.filter(tag => !current.includes(tag)).forEach(tag => {
+            const chip = $(`<span class="tag" title="Add tag" style="cursor: pointer; background: rgba(81, 207, 102, 0.2); padding: 0.1em 0.4em; border-radius: 3px; font-size: 0.8em;">+ ${tag}</span>`);
+            chip.on('click', () => {
+                $('#track_tags').val([...parseTagList($('#track_tags').val()), tag].join(', '));
+                updateSuggestedTags();
+            });
+            container.append(chip);
+        });
     }
+    $('#track_tags').on('input', updateSuggestedTags);
+    updateSuggestedTags();
     
-    // Toggle emotion selector
+    $('#read_track_tags').on('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        try {
+            const embedded = await readEmbeddedTags(trackPath);
+            if (!embedded) {
+                alert('No embedded tags found in this file');
+                return;
+            }
+            
+            // Only empty fields are filled
+            if (!$('#track_title').val().trim() && embedded.title) $('#track_title').val(embedded.title);
+            if (!$('#track_artist').val().trim() && embedded.artist) $('#track_artist').val(embedded.artist);
+            if (!$('#track_album').val().trim() && embedded.album) $('#track_album').val(embedded.album);
+            suggestedTags = getSuggestedTags(embedded);
+            updateSuggestedTags();
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to read embedded tags:', error);
+            alert(`Could not read tags: ${error.message}`);
+        }
+    });
+    
+    $('#analyze_track_loudness').on('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        $('#track_loudness').text('Analyzing...');
+        try {
+            $('#track_loudness').text(describeLoudness(await analyzeAndStoreLoudness(trackPath)));
+            saveMetadata();
+            refreshTrackGains();
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to analyze loudness:', error);
+            $('#track_loudness').text(`Could not analyze: ${error.message}`);
+        }
+    });
+    
+    // Scrubber for finding loop points, on its own element so the music keeps playing
+    const scrubAudio = new Audio(encodeTrackPath(trackPath));
+    scrubAudio.preload = 'metadata';
+    scrubAudio.volume = extension_settings.audio.bgm_volume * 0.01;
+    let scrubbing = false;
+    
+    function updateScrubPlayIcon() {
+        $('#loop_scrub_play i').removeClass('fa-play fa-pause').addClass(scrubAudio.paused ? 'fa-play' : 'fa-pause');
+    }
+    
+    $(scrubAudio).on('loadedmetadata', () => $('#loop_scrubber').attr('max', scrubAudio.duration));
+    $(scrubAudio).on('timeupdate', () => {
+        if (!scrubbing) $('#loop_scrubber').val(scrubAudio.currentTime);
+        $('#loop_scrub_time').text(formatLoopTime(scrubAudio.currentTime));
+    });
+    $(scrubAudio).on('play pause', updateScrubPlayIcon);
+    
+    $('#loop_scrubber').on('input', () => {
+        scrubbing = true;
+        $('#loop_scrub_time').text(formatLoopTime(parseFloat($('#loop_scrubber').val())));
+    });
+    $('#loop_scrubber').on('change', () => {
+        scrubbing = false;
+        scrubAudio.currentTime = parseFloat($('#loop_scrubber').val());
+    });
+    
+    $('#loop_scrub_play').on('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        stopLoopPreview();
+        if (scrubAudio.paused) {
+            scrubAudio.play().catch(error => console.error(DEBUG_PREFIX, 'Error playing preview:', error));
+        } else {
+            scrubAudio.pause();
+        }
+    });
+    
+    $('.set-scrub-point').on('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        $($(this).data('target')).val(parseFloat($('#loop_scrubber').val()).toFixed(2));
+    });
+    
+    function readTrimPoints() {
+        const start = parseFloat($('#track_trim_start').val());
+        const end = parseFloat($('#track_trim_end').val());
+        return { start: isNaN(start) ? 0 : start, end: isNaN(end) ? null : end };
+    }
+    
+    // Stops a boundary preview once it reaches the trim end
+    let scrubStopAt = null;
+    $(scrubAudio).on('timeupdate', () => {
+        if (scrubStopAt !== null && scrubAudio.currentTime >= scrubStopAt) {
+            scrubStopAt = null;
+            scrubAudio.pause();
+        }
+    });
+    $(scrubAudio).on('pause', () => {
+        scrubStopAt = null;
+    });
+    
+    $('#preview_trim_start, #preview_trim_end').on('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        stopLoopPreview();
+        
+        const trim = readTrimPoints();
+        const end = trim.end ?? scrubAudio.duration;
+        if (this.id === 'preview_trim_start') {
+            scrubAudio.currentTime = trim.start;
+        } else {
+            if (!isFinite(end)) return;
+            scrubAudio.currentTime = Math.max(trim.start, end - LOOP_PREVIEW_LEAD);
+        }
+        
+        scrubAudio.play()
+            .then(() => {
+                scrubStopAt = end;
+            })
+            .catch(error => console.error(DEBUG_PREFIX, 'Error playing preview:', error));
+    });
+    
+    $('#detect_silence').on('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        $('#trim_suggestion').text('Analyzing...');
+        try {
+            const buffer = await loadTrackBuffer(trackPath);
+            const bounds = detectSilence(buffer);
+            if (!bounds) {
+                $('#trim_suggestion').text('This track is silent');
+                return;
+            }
+            
+            // Only suggest cuts worth making
+            const cutStart = bounds.start > SILENCE_PADDING * 2;
+            const cutEnd = buffer.duration - bounds.end > SILENCE_PADDING * 2;
+            if (cutStart) $('#track_trim_start').val(bounds.start.toFixed(2));
+            if (cutEnd) $('#track_trim_end').val(bounds.end.toFixed(2));
+            
+            $('#trim_suggestion').text(cutStart || cutEnd
+                ? `Suggested: sound from ${formatLoopTime(bounds.start)} to ${formatLoopTime(bounds.end)}. Save to keep it.`
+                : 'No leading or trailing silence found');
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to detect silence:', error);
+            $('#trim_suggestion').text(`Could not decode this track: ${error.message}`);
+        }
+    });
+    
+    function readLoopPoints() {
+        const start = parseFloat($('#track_loop_start').val());
+        const end = parseFloat($('#track_loop_end').val());
+        if (isNaN(start) && isNaN(end)) return null;
+        
+        // One missing point means "from the beginning" or "to the end"
+        const loopStart = isNaN(start) ? 0 : start;
+        const loopEnd = isNaN(end) ? scrubAudio.duration : end;
+        return isFinite(loopEnd) && loopStart >= 0 && loopEnd > loopStart ? { start: loopStart, end: loopEnd } : null;
+    }
+    
+    $('#preview_loop').on('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        if (loopPreview) {
+            stopLoopPreview();
+            return;
+        }
+        
+        const points = readLoopPoints();
+        if (!points) {
+            alert('Set a loop start and end first (the end must come after the start)');
+            return;
+        }
+        
+        scrubAudio.pause();
+        try {
+            await previewLoop(trackPath, points.start, points.end);
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to preview loop:', error);
+            alert(`Could not decode this track: ${error.message}`);
+        }
+    });
+    
+    function closeEditor() {
+        stopLoopPreview();
+        scrubAudio.pause();
+        scrubAudio.removeAttribute('src');
+        backdrop.remove();
+    }
+    
+    let rating = metadata.rating || 0;
+    function updateRatingStars() {
+        $('.track-rating-star').each(function() {
+            const filled = Number($(this).data('rating')) <= rating;
+            $(this).toggleClass('fa-solid', filled).toggleClass('fa-regular', !filled);
+        });
+    }
+    
+    $('.track-rating-star').on('click', function() {
+        const clicked = Number($(this).data('rating'));
+        rating = rating === clicked ? 0 : clicked;
+        updateRatingStars();
+    });
+    updateRatingStars();
+    
+    // Auto-expand emotions if any are selected
+    if (emotionTags.length > 0) {
+        $('#emotion_selector').show();
+        $('#toggle_emotions i').removeClass('fa-chevron-down').addClass('fa-chevron-up');
+    }
+    
+    // Toggle emotion selector
     $('#toggle_emotions').on('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
@@ -1130,6 +2202,19 @@ function openTrackEditor(trackPath) {
         
         const title = $('#track_title').val().trim();
         const isInstrumental = $('#track_instrumental').is(':checked');
+        const isAmbient = $('#track_ambient').is(':checked');
+        
+        const loopPoints = readLoopPoints();
+        if (!loopPoints && ($('#track_loop_start').val() || $('#track_loop_end').val())) {
+            alert('The loop end must come after the loop start');
+            return;
+        }
+        
+        const trimPoints = readTrimPoints();
+        if (trimPoints.start < 0 || (trimPoints.end !== null && trimPoints.end <= trimPoints.start)) {
+            alert('The trim end must come after the trim start');
+            return;
+        }
         
         // Collect selected emotions
         const selectedEmotions = [];
@@ -1138,39 +2223,68 @@ function openTrackEditor(trackPath) {
         });
         
         // Collect other tags
-        let otherTags = $('#track_tags').val().split(',').map(t => t.trim()).filter(Boolean);
+        let otherTags = $('#track_tags').val().split(',').map(t => t.trim()).filter(t => t && t !== AMBIENT_TAG);
         
-        // Combine all tags: instrumental (if checked) + emotions + other tags
+        // Combine all tags: instrumental/ambient (if checked) + emotions + other tags
         let allTags = [];
         if (isInstrumental) {
             allTags.push('instrumental');
         }
+        if (isAmbient) {
+            allTags.push(AMBIENT_TAG);
+        }
         allTags.push(...selectedEmotions);
         allTags.push(...otherTags);
         
-        trackLibrary.metadata[trackPath] = { title, tags: allTags };
+        trackLibrary.metadata[trackPath] = {
+            ...trackLibrary.metadata[trackPath],
+            title,
+            artist: $('#track_artist').val().trim(),
+            album: $('#track_album').val().trim(),
+            tags: allTags,
+            rating,
+            favorite: $('#track_favorite').is(':checked'),
+            never_play: $('#track_never_play').is(':checked'),
+            banned_characters: parseTagList($('#track_banned_characters').val()),
+            gain_trim: Math.min(12, Math.max(-12, parseFloat($('#track_gain_trim').val()) || 0)),
+            loop_start: loopPoints ? Math.round(loopPoints.start * 1000) / 1000 : undefined,
+            loop_end: loopPoints ? Math.round(loopPoints.end * 1000) / 1000 : undefined,
+            trim_start: trimPoints.start > 0 ? Math.round(trimPoints.start * 1000) / 1000 : undefined,
+            trim_end: trimPoints.end !== null ? Math.round(trimPoints.end * 1000) / 1000 : undefined,
+        };
+        if (suggestedTags.length > 0 || trackPath in extension_settings.audio.embedded_tags) {
+            extension_settings.audio.embedded_tags[trackPath] = suggestedTags.filter(tag => !allTags.includes(tag));
+        }
         saveMetadata();
+        refreshTrackGains();
+        
+        // A track that stopped being ambient can't stay layered
+        if (!isAmbient && extension_settings.audio.ambient_layers.includes(trackPath)) {
+            removeAmbientLayer(trackPath);
+        }
+        
         updateTrackList();
-        backdrop.remove();
+        updateAmbientUI();
+        closeEditor();
     });
     
     $('#cancel_track').on('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        backdrop.remove();
+        closeEditor();
     });
     
     backdrop.on('click', (e) => {
         if (e.target === backdrop[0]) {
             e.stopPropagation();
-            backdrop.remove();
+            closeEditor();
         }
     });
     
     $(document).on('keydown.trackEditor', (e) => {
         if (e.key === 'Escape') {
             e.stopPropagation();
-            backdrop.remove();
+            closeEditor();
             $(document).off('keydown.trackEditor');
         }
     });
@@ -1181,10 +2295,162 @@ function openTrackEditor(trackPath) {
 }
 
 // ============================================
-// PLAYLIST MANAGEMENT
+// LIBRARY BUNDLES
 // ============================================
 
-function openPlaylistManager() {
+function buildLibraryBundle() {
+    const emotionSettings = {};
+    BUNDLE_EMOTION_KEYS.forEach(key => {
+        emotionSettings[key] = extension_settings.audio[key];
+    });
+    
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        track_metadata: trackLibrary.metadata,
+        playlists: extension_settings.audio.playlists,
+        emotion_settings: emotionSettings,
+    };
+}
+
+function exportLibraryBundle() {
+    downloadJson('dynamic-audio-library.json', buildLibraryBundle());
+}
+
+async function readLibraryBundle(file) {
+    const bundle = JSON.parse(await file.text());
+    
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a Dynamic Audio library bundle');
+    }
+    if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Bundle version ${bundle.version} is newer than this extension supports (${BUNDLE_VERSION})`);
+    }
+    
+    return {
+        track_metadata: bundle.track_metadata || {},
+        playlists: bundle.playlists || {},
+        emotion_settings: bundle.emotion_settings || {},
+    };
+}
+
+/**
+ * Works out where each path in the bundle lands in this library. Paths that
+ * exist here are kept; the rest go through the same matching as migrateMetadata.
+ */
+function planBundleImport(bundle) {
+    const currentTracks = [
+        ...trackLibrary.global,
+        ...Object.values(trackLibrary.character).flat()
+    ];
+    
+    const bundlePaths = new Set(Object.keys(bundle.track_metadata));
+    Object.values(bundle.playlists).forEach(playlist => {
+        (playlist.tracks || []).forEach(path => bundlePaths.add(path));
+    });
+    
+    const claimed = new Set([...bundlePaths].filter(path => currentTracks.includes(path)));
+    const remaps = [];
+    const unmatched = [];
+    
+    bundlePaths.forEach(path => {
+        if (claimed.has(path)) return;
+        
+        const match = findTrackMatch(path, currentTracks, newPath => claimed.has(newPath));
+        if (match) {
+            claimed.add(match.path);
+            remaps.push({ oldPath: path, newPath: match.path, score: match.score });
+        } else {
+            unmatched.push(path);
+        }
+    });
+    
+    const pathMap = Object.fromEntries(remaps.map(remap => [remap.oldPath, remap.newPath]));
+    const resolve = path => pathMap[path] || path;
+    
+    const metadataConflicts = Object.entries(bundle.track_metadata)
+        .filter(([path, metadata]) => {
+            const existing = trackLibrary.metadata[resolve(path)];
+            return existing && JSON.stringify(existing) !== JSON.stringify(metadata);
+        })
+        .map(([path]) => resolve(path));
+    
+    const playlistConflicts = Object.entries(bundle.playlists)
+        .filter(([name, playlist]) => {
+            const existing = extension_settings.audio.playlists[name];
+            return existing && JSON.stringify(existing) !== JSON.stringify(playlist);
+        })
+        .map(([name]) => name);
+    
+    return { remaps, unmatched, metadataConflicts, playlistConflicts };
+}
+
+function mergeEmotionSetting(current, imported, overwrite) {
+    if (Array.isArray(current)) {
+        return [...new Set([...current, ...imported])];
+    }
+    return overwrite ? { ...current, ...imported } : { ...imported, ...current };
+}
+
+/**
+ * @param {object} pathMap - bundle path -> library path for the remaps the user kept
+ * @param {'merge'|'replace'} mode - replace drops everything not in the bundle
+ * @param {boolean} overwrite - in merge mode, imported entries win conflicts
+ */
+function applyBundleImport(bundle, pathMap, mode, overwrite) {
+    const resolve = path => pathMap[path] || path;
+    
+    const metadata = {};
+    Object.entries(bundle.track_metadata).forEach(([path, entry]) => {
+        metadata[resolve(path)] = entry;
+    });
+    
+    const playlists = {};
+    Object.entries(bundle.playlists).forEach(([name, playlist]) => {
+        playlists[name] = playlist.tracks ? { ...playlist, tracks: playlist.tracks.map(resolve) } : playlist;
+    });
+    
+    if (mode === 'replace') {
+        trackLibrary.metadata = metadata;
+        extension_settings.audio.playlists = playlists;
+    } else {
+        Object.entries(metadata).forEach(([path, entry]) => {
+            if (overwrite || !trackLibrary.metadata[path]) {
+                trackLibrary.metadata[path] = entry;
+            }
+        });
+        Object.entries(playlists).forEach(([name, playlist]) => {
+            if (overwrite || !extension_settings.audio.playlists[name]) {
+                extension_settings.audio.playlists[name] = playlist;
+            }
+        });
+    }
+    
+    BUNDLE_EMOTION_KEYS.forEach(key => {
+        const imported = bundle.emotion_settings[key];
+        if (imported === undefined) return;
+        
+        if (mode === 'replace') {
+            extension_settings.audio[key] = imported;
+        } else if (key === 'emotion_fallbacks') {
+            // An unset graph stands for the defaults, so those are what get merged
+            extension_settings.audio[key] = mergeEmotionSetting(getEmotionFallbackGraph(), imported ?? EMOTION_FALLBACKS, overwrite);
+        } else {
+            extension_settings.audio[key] = mergeEmotionSetting(extension_settings.audio[key], imported, overwrite);
+        }
+    });
+    
+    saveMetadata();
+    saveSettingsDebounced();
+    updateTrackList();
+    updatePlaylistDropdown();
+    updateEmotionFilterOptions();
+}
+
+function showBundleImportUI(bundle) {
+    const plan = planBundleImport(bundle);
+    
     const backdrop = $('<div class="audio-modal-backdrop"></div>');
     backdrop.css({
         'position': 'fixed',
@@ -1197,48 +2463,106 @@ function openPlaylistManager() {
         'backdrop-filter': 'blur(4px)'
     });
     
-    const manager = $(`
-        <div class="playlist-manager-modal">
-            <h3 style="margin-top: 0;">Manage Playlists</h3>
+    const remapItems = plan.remaps.map((remap, index) => `
+        <label class="checkbox_label" style="font-size: 0.85em; padding: 0.2em 0;">
+            <input type="checkbox" class="bundle-remap-checkbox" data-index="${index}" checked>
+            <span>
+                <span style="color: #ff6b6b;">${remap.oldPath}</span> → <span style="color: #51cf66;">${remap.newPath}</span>
+                <span style="opacity: 0.5;">(${Math.round(remap.score * 100)}%)</span>
+            </span>
+        </label>
+    `).join('');
+    
+    const importUI = $(`
+        <div class="bundle-import-modal">
+            <h3 style="margin-top: 0;">Import Library Bundle</h3>
+            <p style="opacity: 0.8; margin-bottom: 1em; font-size: 0.9em;">
+                ${Object.keys(bundle.track_metadata).length} tagged tracks, ${Object.keys(bundle.playlists).length} playlists
+                and ${Object.keys(bundle.emotion_settings).length} emotion settings in this bundle.
+            </p>
             
-            <div id="playlist_list" style="max-height: 300px; overflow-y: auto; margin-bottom: 1em;"></div>
+            ${plan.remaps.length > 0 ? `
+            <div style="margin-bottom: 1em;">
+                <strong>Paths matched to tracks in this library</strong>
+                <div style="max-height: 200px; overflow-y: auto; margin-top: 0.3em;">${remapItems}</div>
+            </div>` : ''}
             
-            <div class="flex-container flexFlowColumn" style="gap: 0.5em;">
-                <button class="menu_button" id="create_smart_playlist" style="width: 100%;">
-                    <i class="fa-solid fa-magic"></i> New Smart Playlist
-                </button>
-                <button class="menu_button" id="create_manual_playlist" style="width: 100%;">
-                    <i class="fa-solid fa-list"></i> New Manual Playlist
-                </button>
+            ${plan.unmatched.length > 0 ? `
+            <div style="margin-bottom: 1em; font-size: 0.85em; opacity: 0.8;">
+                ${plan.unmatched.length} path(s) have no match here and will be imported as-is (run <code>/d-audio migrate</code> later to fix them).
+            </div>` : ''}
+            
+            <div style="margin-bottom: 1em; font-size: 0.85em;">
+                <strong>Conflicts:</strong>
+                ${plan.metadataConflicts.length + plan.playlistConflicts.length === 0 ? 'none' : ''}
+                ${plan.metadataConflicts.length > 0 ? `<div>Tracks: ${plan.metadataConflicts.map(getTrackTitle).join(', ')}</div>` : ''}
+                ${plan.playlistConflicts.length > 0 ? `<div>Playlists: ${plan.playlistConflicts.join(', ')}</div>` : ''}
             </div>
             
-            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
-                <button class="menu_button" id="close_playlist_manager">
-                    <i class="fa-solid fa-times"></i> Close
+            <div style="margin-bottom: 1em;">
+                <label class="checkbox_label">
+                    <input type="radio" name="bundle_import_mode" value="merge" checked>
+                    <span>Merge into my library</span>
+                </label>
+                <label class="checkbox_label" for="bundle_overwrite" style="margin-left: 1.5em;">
+                    <input type="checkbox" id="bundle_overwrite">
+                    <span>Imported entries win conflicts</span>
+                </label>
+                <label class="checkbox_label">
+                    <input type="radio" name="bundle_import_mode" value="replace">
+                    <span>Replace my tags, playlists and emotion settings</span>
+                </label>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em;">
+                <button class="menu_button" id="confirm_bundle_import" style="flex: 1;">
+                    <i class="fa-solid fa-file-import"></i> Import
+                </button>
+                <button class="menu_button" id="cancel_bundle_import" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Cancel
                 </button>
             </div>
         </div>
     `);
     
-    manager.css({
+    importUI.css({
         'background': '#1a1a1a',
         'border': '1px solid rgba(255, 255, 255, 0.2)',
         'border-radius': '10px',
         'padding': '1.5em',
-        'max-width': '600px',
+        'max-width': '700px',
         'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
         'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
         'color': '#e0e0e0'
     });
     
-    backdrop.append(manager);
+    backdrop.append(importUI);
     $('body').append(backdrop);
     
-    updatePlaylistList();
+    $('input[name="bundle_import_mode"]').on('change', () => {
+        $('#bundle_overwrite').prop('disabled', $('input[name="bundle_import_mode"]:checked').val() === 'replace');
+    });
     
-    $('#create_smart_playlist').on('click', () => createSmartPlaylist());
-    $('#create_manual_playlist').on('click', () => createManualPlaylist());
-    $('#close_playlist_manager').on('click', () => backdrop.remove());
+    $('#confirm_bundle_import').on('click', () => {
+        const mode = $('input[name="bundle_import_mode"]:checked').val();
+        if (mode === 'replace' && !confirm('Replace all of your track tags, playlists and emotion settings with this bundle?')) {
+            return;
+        }
+        
+        // Unticked remaps keep the bundle's original path
+        const pathMap = {};
+        $('.bundle-remap-checkbox:checked').each(function() {
+            const remap = plan.remaps[$(this).data('index')];
+            pathMap[remap.oldPath] = remap.newPath;
+        });
+        
+        applyBundleImport(bundle, pathMap, mode, $('#bundle_overwrite').is(':checked'));
+        backdrop.remove();
+    });
+    
+    $('#cancel_bundle_import').on('click', () => backdrop.remove());
     
     backdrop.on('click', (e) => {
         if (e.target === backdrop[0]) {
@@ -1247,54 +2571,333 @@ function openPlaylistManager() {
         }
     });
     
-    manager.on('click', (e) => {
+    importUI.on('click', (e) => {
         e.stopPropagation();
     });
 }
 
-function updatePlaylistList() {
-    const list = $('#playlist_list');
-    list.empty();
+// ============================================
+// PLAYLIST FILES (M3U / PLS)
+// ============================================
+
+function formatM3U(tracks) {
+    const lines = ['#EXTM3U'];
+    tracks.forEach(path => {
+        lines.push(`#EXTINF:-1,${getTrackTitle(path)}`);
+        lines.push(path);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function formatPLS(tracks) {
+    const lines = ['[playlist]'];
+    tracks.forEach((path, index) => {
+        lines.push(`File${index + 1}=${path}`);
+        lines.push(`Title${index + 1}=${getTrackTitle(path)}`);
+        lines.push(`Length${index + 1}=-1`);
+    });
+    lines.push(`NumberOfEntries=${tracks.length}`);
+    lines.push('Version=2');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {'m3u8'|'m3u'|'pls'} format - m3u and m3u8 share a layout; m3u8 is just explicitly UTF-8
+ */
+function exportPlaylistFile(name, format) {
+    const playlist = extension_settings.audio.playlists[name];
+    if (!playlist || playlist.type !== 'manual') return;
     
-    const playlists = extension_settings.audio.playlists || {};
-    const playlistNames = Object.keys(playlists);
+    const tracks = playlist.tracks || [];
+    const filename = `${name.replace(/[\\/:*?"<>|]/g, '_')}.${format}`;
     
-    if (playlistNames.length === 0) {
-        list.append('<div style="padding: 1em; text-align: center; opacity: 0.6;">No playlists yet. Create one!</div>');
-        return;
+    if (format === 'pls') {
+        downloadFile(filename, formatPLS(tracks), 'audio/x-scpls');
+    } else {
+        downloadFile(filename, formatM3U(tracks), format === 'm3u8' ? 'application/vnd.apple.mpegurl' : 'audio/x-mpegurl');
     }
-    
-    playlistNames.forEach(name => {
-        const playlist = playlists[name];
-        const typeLabel = playlist.type === 'smart' ? '✨ Smart' : '📋 Manual';
-        let trackCount;
-        
-        if (playlist.type === 'manual') {
-            trackCount = (playlist.tracks || []).length;
-        } else {
-            let tags = [...(playlist.tags || [])];
-            
-            // Add emotion tag based on mode (same logic as preview/playback)
-            if (playlist.emotion_mode === 'auto') {
-                tags.push(currentEmotion);
-            } else if (playlist.emotion_mode === 'manual' && playlist.emotion_override) {
-                tags.push(playlist.emotion_override);
-            }
+}
+
+// Returns [{ location, title }] from M3U/M3U8 or PLS text
+function parsePlaylistFile(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+    
+    if (lines.some(line => /^\[playlist\]$/i.test(line))) {
+        const entries = {};
+        lines.forEach(line => {
+            const match = line.match(/^(File|Title)(\d+)=(.*)$/i);
+            if (!match) return;
             
-            const includeGlobal = playlist.include_global !== false;
-            const matches = filterTracksByTags(tags, null, includeGlobal);
-            trackCount = matches.length;
+            const entry = entries[match[2]] = entries[match[2]] || { location: '', title: '' };
+            entry[match[1].toLowerCase() === 'file' ? 'location' : 'title'] = match[3].trim();
+        });
+        return Object.keys(entries)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(key => entries[key])
+            .filter(entry => entry.location);
+    }
+    
+    const entries = [];
+    let pendingTitle = '';
+    lines.forEach(line => {
+        if (line.toUpperCase().startsWith('#EXTINF:')) {
+            const comma = line.indexOf(',');
+            pendingTitle = comma !== -1 ? line.slice(comma + 1).trim() : '';
+        } else if (line && !line.startsWith('#')) {
+            entries.push({ location: line, title: pendingTitle });
+            pendingTitle = '';
         }
-        
-        const globalLabel = (playlist.include_global === false) ? ' • Character only' : '';
-        
-        const item = $(`
-            <div class="playlist-item" style="display: flex; align-items: center; gap: 0.5em; padding: 0.5em; border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
-                <div style="flex: 1; min-width: 0;">
-                    <div style="font-weight: bold;">${name}</div>
-                    <div style="font-size: 0.85em; opacity: 0.7;">${typeLabel} • ${trackCount} tracks${globalLabel}</div>
-                </div>
-                <button class="menu_button menu_button_icon edit-playlist" data-name="${name}">
+    });
+    return entries;
+}
+
+function normalizePlaylistLocation(location) {
+    let normalized = location.replace(/\\/g, '/').replace(/^file:\/\/\/?/i, '');
+    try {
+        normalized = decodeURIComponent(normalized);
+    } catch {
+        // Not URI-encoded; use as-is
+    }
+    return normalized.replace(/^\.?\//, '');
+}
+
+/**
+ * Resolves a playlist entry against the library: by path (allowing a
+ * different root folder), then by filename, then by fuzzy title match.
+ */
+function resolvePlaylistEntry(entry, libraryTracks) {
+    const location = normalizePlaylistLocation(entry.location);
+    const lowerLocation = location.toLowerCase();
+    
+    const byPath = libraryTracks.find(path => {
+        const lowerPath = path.toLowerCase();
+        return lowerPath === lowerLocation || lowerLocation.endsWith(`/${lowerPath}`);
+    });
+    if (byPath) return byPath;
+    
+    const filename = location.split('/').pop().toLowerCase();
+    const byFilename = libraryTracks.find(path => path.split('/').pop().toLowerCase() === filename);
+    if (byFilename) return byFilename;
+    
+    const title = entry.title || filename.replace(/\.[^.]+$/, '');
+    let bestMatch = null;
+    let bestScore = 0;
+    libraryTracks.forEach(path => {
+        const score = Math.max(fuzzyMatch(title, getTrackTitle(path)), fuzzyMatch(title, path.split('/').pop()));
+        if (score > bestScore && score >= PLAYLIST_TITLE_MATCH) {
+            bestScore = score;
+            bestMatch = path;
+        }
+    });
+    return bestMatch;
+}
+
+function getUniquePlaylistName(baseName) {
+    const base = baseName || 'Imported Playlist';
+    let name = base;
+    let counter = 2;
+    while (extension_settings.audio.playlists[name]) {
+        name = `${base} (${counter++})`;
+    }
+    return name;
+}
+
+/**
+ * .m3u8 files are always UTF-8. Plain .m3u and .pls files are often Latin-1 from older
+ * players, so they're only read as UTF-8 when they have a BOM or decode cleanly as UTF-8.
+ */
+async function readPlaylistText(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const hasBom = bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF;
+    if (/\.m3u8$/i.test(file.name) || hasBom) {
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+    
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('iso-8859-1').decode(bytes);
+    }
+}
+
+async function importPlaylistFile(file) {
+    const entries = parsePlaylistFile(await readPlaylistText(file));
+    if (entries.length === 0) {
+        alert(`No playlist entries found in ${file.name}`);
+        return;
+    }
+    
+    const libraryTracks = [
+        ...trackLibrary.global,
+        ...Object.values(trackLibrary.character).flat()
+    ];
+    
+    const tracks = [];
+    const unresolved = [];
+    entries.forEach(entry => {
+        const path = resolvePlaylistEntry(entry, libraryTracks);
+        if (path) {
+            if (!tracks.includes(path)) tracks.push(path);
+        } else {
+            unresolved.push(entry.title || entry.location);
+        }
+    });
+    
+    const name = getUniquePlaylistName(file.name.replace(/\.(m3u8?|pls)$/i, ''));
+    extension_settings.audio.playlists[name] = {
+        type: 'manual',
+        tracks,
+        ambient_tags: []
+    };
+    saveSettingsDebounced();
+    updatePlaylistList();
+    updatePlaylistDropdown();
+    
+    let report = `Imported "${name}" with ${tracks.length} of ${entries.length} tracks.`;
+    if (unresolved.length > 0) {
+        const listed = unresolved.slice(0, PLAYLIST_REPORT_LIMIT).map(item => `• ${item}`).join('\n');
+        const more = unresolved.length > PLAYLIST_REPORT_LIMIT ? `\n...and ${unresolved.length - PLAYLIST_REPORT_LIMIT} more` : '';
+        report += `\n\nCouldn't find these in your library:\n${listed}${more}`;
+    }
+    alert(report);
+}
+
+// ============================================
+// PLAYLIST MANAGEMENT
+// ============================================
+
+function openPlaylistManager() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const manager = $(`
+        <div class="playlist-manager-modal">
+            <h3 style="margin-top: 0;">Manage Playlists</h3>
+            
+            <div id="playlist_list" style="max-height: 300px; overflow-y: auto; margin-bottom: 1em;"></div>
+            
+            <div class="flex-container flexFlowColumn" style="gap: 0.5em;">
+                <button class="menu_button" id="create_smart_playlist" style="width: 100%;">
+                    <i class="fa-solid fa-magic"></i> New Smart Playlist
+                </button>
+                <button class="menu_button" id="create_manual_playlist" style="width: 100%;">
+                    <i class="fa-solid fa-list"></i> New Manual Playlist
+                </button>
+                <button class="menu_button" id="import_playlist_file" style="width: 100%;">
+                    <i class="fa-solid fa-file-import"></i> Import M3U / PLS
+                </button>
+                <input type="file" id="playlist_file" accept=".m3u,.m3u8,.pls" style="display: none;">
+                <div class="flex-container alignItemsCenter" style="gap: 0.5em;">
+                    <label for="playlist_export_format" style="white-space: nowrap; font-size: 0.9em;">Export manual playlists as</label>
+                    <select id="playlist_export_format" class="text_pole" style="flex: 1;">
+                        <option value="m3u8">M3U8</option>
+                        <option value="m3u">M3U</option>
+                        <option value="pls">PLS</option>
+                    </select>
+                </div>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="close_playlist_manager">
+                    <i class="fa-solid fa-times"></i> Close
+                </button>
+            </div>
+        </div>
+    `);
+    
+    manager.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '600px',
+        'width': '90%',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(manager);
+    $('body').append(backdrop);
+    
+    updatePlaylistList();
+    
+    $('#create_smart_playlist').on('click', () => createSmartPlaylist());
+    $('#create_manual_playlist').on('click', () => createManualPlaylist());
+    $('#import_playlist_file').on('click', () => $('#playlist_file').trigger('click'));
+    
+    $('#playlist_file').on('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            await importPlaylistFile(file);
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to import playlist file:', error);
+            alert(`Could not import playlist: ${error.message}`);
+        }
+    });
+    $('#close_playlist_manager').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    manager.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+function updatePlaylistList() {
+    const list = $('#playlist_list');
+    list.empty();
+    
+    const playlists = extension_settings.audio.playlists || {};
+    const playlistNames = Object.keys(playlists);
+    
+    if (playlistNames.length === 0) {
+        list.append('<div style="padding: 1em; text-align: center; opacity: 0.6;">No playlists yet. Create one!</div>');
+        return;
+    }
+    
+    playlistNames.forEach(name => {
+        const playlist = playlists[name];
+        const typeLabel = playlist.type === 'smart' ? '✨ Smart' : '📋 Manual';
+        let trackCount;
+        
+        if (playlist.type === 'manual') {
+            trackCount = (playlist.tracks || []).length;
+        } else {
+            // Same matching as preview/playback
+            trackCount = getSmartPlaylistMatches(playlist, null).length;
+        }
+        
+        const globalLabel = (playlist.include_global === false) ? ' • Character only' : '';
+        const sceneLabel = playlist.require_scene ? ' • Scene tags' : '';
+        
+        const item = $(`
+            <div class="playlist-item" style="display: flex; align-items: center; gap: 0.5em; padding: 0.5em; border-bottom: 1px solid rgba(255, 255, 255, 0.1);">
+                <div style="flex: 1; min-width: 0;">
+                    <div style="font-weight: bold;">${name}</div>
+                    <div style="font-size: 0.85em; opacity: 0.7;">${typeLabel} • ${trackCount} tracks${globalLabel}${sceneLabel}</div>
+                </div>
+                ${playlist.type === 'manual' ? `
+                <button class="menu_button menu_button_icon export-playlist" data-name="${name}" title="Export playlist file">
+                    <i class="fa-solid fa-file-export"></i>
+                </button>` : ''}
+                <button class="menu_button menu_button_icon edit-playlist" data-name="${name}">
                     <i class="fa-solid fa-edit"></i>
                 </button>
                 <button class="menu_button menu_button_icon delete-playlist" data-name="${name}">
@@ -1311,6 +2914,10 @@ function updatePlaylistList() {
         editPlaylist(name);
     });
     
+    $('.export-playlist').on('click', function() {
+        exportPlaylistFile($(this).data('name'), $('#playlist_export_format').val());
+    });
+    
     $('.delete-playlist').on('click', function() {
         const name = $(this).data('name');
         if (confirm(`Delete playlist "${name}"?`)) {
@@ -1348,8 +2955,11 @@ function createSmartPlaylist() {
             </div>
             
             <div style="margin-bottom: 1em;">
-                <label for="smart_playlist_tags" style="display: block; margin-bottom: 0.3em;">Base Tags (comma-separated)</label>
-                <input type="text" class="text_pole" id="smart_playlist_tags" placeholder="e.g. character:alice, arc:revenge, instrumental">
+                <label for="smart_playlist_tags" style="display: block; margin-bottom: 0.3em;">Base Tags</label>
+                <input type="text" class="text_pole" id="smart_playlist_tags" placeholder="e.g. arc:revenge AND (anger OR fear), NOT vocals">
+                <small style="opacity: 0.7; font-size: 0.85em;">Commas mean AND. Use AND, OR, NOT, parentheses, wildcards like arc:*, rating>=4, artist=Name and macros like location:{{getvar::location}}</small>
+                <div id="smart_query_error" style="color: #ff6b6b; font-size: 0.85em; margin-top: 0.3em;"></div>
+                <div id="smart_resolved_query" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.3em;"></div>
             </div>
 
             <div style="margin-bottom: 1em;">
@@ -1357,6 +2967,16 @@ function createSmartPlaylist() {
                     <input type="checkbox" id="smart_include_global" checked>
                     <span>Include Global Tracks</span>
                 </label>
+                <label class="checkbox_label" for="smart_require_scene">
+                    <input type="checkbox" id="smart_require_scene">
+                    <span>Require current scene tags</span>
+                </label>
+            </div>
+            
+            <div style="margin-bottom: 1em;">
+                <label for="smart_playlist_ambient" style="display: block; margin-bottom: 0.3em;">Ambience Tags (comma-separated, optional)</label>
+                <input type="text" class="text_pole" id="smart_playlist_ambient" placeholder="e.g. rain, tavern">
+                <small style="opacity: 0.7; font-size: 0.85em;">Ambient loops with these tags start when this playlist is activated</small>
             </div>
             
             <div style="margin-bottom: 1em;">
@@ -1371,7 +2991,7 @@ function createSmartPlaylist() {
                         <span>Manual: </span>
                     </label>
                     <select id="emotion_override" class="text_pole" style="width: auto; display: inline-block;">
-                        ${EMOTION_TAGS.map(tag => `<option value="${tag}">${tag}</option>`).join('')}
+                        ${getEmotionTags().map(tag => `<option value="${tag}">${tag}</option>`).join('')}
                     </select><br>
                     <label class="checkbox_label">
                         <input type="radio" name="emotion_mode" value="off">
@@ -1422,32 +3042,39 @@ function createSmartPlaylist() {
     
     // Preview updates
     function updateSmartPreview() {
-        const tagsInput = $('#smart_playlist_tags').val().trim();
+        const queryInput = $('#smart_playlist_tags').val().trim();
         const emotionMode = $('input[name="emotion_mode"]:checked').val();
         const emotionOverride = $('#emotion_override').val();
         const includeGlobal = $('#smart_include_global').is(':checked');
+        const requireScene = $('#smart_require_scene').is(':checked');
         
-        let tags = [];
-        if (tagsInput) {
-            tags = tagsInput.split(',').map(t => t.trim()).filter(Boolean);
-        }
+        const { resolved, error } = checkPlaylistQuery(queryInput);
+        $('#smart_query_error').text(error || '');
+        $('#smart_resolved_query').text(resolved !== queryInput ? `Resolves to: ${resolved || '(nothing)'}` : '');
         
-        // Add emotion tag based on mode (simulating what will happen during playback)
-        if (emotionMode === 'auto') {
-            tags.push(currentEmotion); // Use current detected emotion for preview
-        } else if (emotionMode === 'manual' && emotionOverride) {
-            tags.push(emotionOverride);
+        if (error) {
+            $('#preview_count').text('Fix the tag expression to preview');
+            $('#toggle_preview_list').hide();
+            $('#preview_track_list').hide();
+            return;
         }
         
-        if (tags.length === 0) {
+        if (!queryInput && emotionMode === 'off') {
             $('#preview_count').text('Select emotion mode or enter tags to preview');
             $('#toggle_preview_list').hide();
             $('#preview_track_list').hide();
             return;
         }
         
+        // Simulate what will happen during playback (auto mode uses the current detected emotion)
         const context = getContext();
-        const matches = filterTracksByTags(tags, context.name2, includeGlobal);
+        const matches = getSmartPlaylistMatches({
+            query: queryInput,
+            emotion_mode: emotionMode,
+            emotion_override: emotionOverride,
+            include_global: includeGlobal,
+            require_scene: requireScene,
+        }, context.name2);
         
         $('#preview_count').text(`${matches.length} tracks match`);
         
@@ -1472,6 +3099,7 @@ function createSmartPlaylist() {
     $('input[name="emotion_mode"]').on('change', updateSmartPreview);
     $('#emotion_override').on('change', updateSmartPreview);
     $('#smart_include_global').on('change', updateSmartPreview);
+    $('#smart_require_scene').on('change', updateSmartPreview);
     
     // Initial preview
     setTimeout(updateSmartPreview, 100);
@@ -1491,7 +3119,7 @@ function createSmartPlaylist() {
     
     $('#save_smart_playlist').on('click', () => {
         const name = $('#smart_playlist_name').val().trim();
-        const tagsInput = $('#smart_playlist_tags').val().trim();
+        const queryInput = $('#smart_playlist_tags').val().trim();
         const emotionMode = $('input[name="emotion_mode"]:checked').val();
         const emotionOverride = $('#emotion_override').val();
         
@@ -1500,20 +3128,26 @@ function createSmartPlaylist() {
             return;
         }
         
-        const tags = tagsInput ? tagsInput.split(',').map(t => t.trim()).filter(Boolean) : [];
+        const { error } = parseTagQuery(queryInput);
+        if (error) {
+            alert(`Invalid tag expression: ${error}`);
+            return;
+        }
         
         // Validate: need either base tags OR an emotion mode that adds tags
-        if (tags.length === 0 && emotionMode === 'off') {
+        if (!queryInput && emotionMode === 'off') {
             alert('Please enter at least one tag or enable emotion filtering');
             return;
         }
         
         extension_settings.audio.playlists[name] = {
             type: 'smart',
-            tags: tags,
+            query: queryInput,
             emotion_mode: emotionMode,
             emotion_override: emotionMode === 'manual' ? emotionOverride : null,
-            include_global: $('#smart_include_global').is(':checked')
+            include_global: $('#smart_include_global').is(':checked'),
+            require_scene: $('#smart_require_scene').is(':checked'),
+            ambient_tags: parseTagList($('#smart_playlist_ambient').val())
         };
         
         if (extension_settings.audio.debug_mode) {
@@ -1564,6 +3198,11 @@ function createManualPlaylist() {
                 <input type="text" class="text_pole" id="manual_playlist_name" placeholder="e.g. My Favorites">
             </div>
             
+            <div style="margin-bottom: 1em;">
+                <label for="manual_playlist_ambient" style="display: block; margin-bottom: 0.3em;">Ambience Tags (comma-separated, optional)</label>
+                <input type="text" class="text_pole" id="manual_playlist_ambient" placeholder="e.g. rain, tavern">
+            </div>
+            
             <div style="margin-bottom: 0.5em;">
                 <label class="checkbox_label" for="manual_show_global">
                     <input type="checkbox" id="manual_show_global" checked>
@@ -1654,7 +3293,8 @@ function createManualPlaylist() {
         
         extension_settings.audio.playlists[name] = {
             type: 'manual',
-            tracks: selectedTracks
+            tracks: selectedTracks,
+            ambient_tags: parseTagList($('#manual_playlist_ambient').val())
         };
         
         if (extension_settings.audio.debug_mode) {
@@ -1702,8 +3342,11 @@ function editPlaylist(name) {
                 <h3 style="margin-top: 0;">Edit Smart Playlist: ${name}</h3>
                 
                 <div style="margin-bottom: 1em;">
-                    <label for="edit_smart_playlist_tags" style="display: block; margin-bottom: 0.3em;">Base Tags (comma-separated)</label>
-                    <input type="text" class="text_pole" id="edit_smart_playlist_tags" value="${(playlist.tags || []).join(', ')}">
+                    <label for="edit_smart_playlist_tags" style="display: block; margin-bottom: 0.3em;">Base Tags</label>
+                    <input type="text" class="text_pole" id="edit_smart_playlist_tags">
+                    <small style="opacity: 0.7; font-size: 0.85em;">Commas mean AND. Use AND, OR, NOT, parentheses, wildcards like arc:*, rating>=4, artist=Name and macros like location:{{getvar::location}}</small>
+                    <div id="edit_smart_query_error" style="color: #ff6b6b; font-size: 0.85em; margin-top: 0.3em;"></div>
+                    <div id="edit_smart_resolved_query" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.3em;"></div>
                 </div>
 
                 <div style="margin-bottom: 1em;">
@@ -1711,6 +3354,15 @@ function editPlaylist(name) {
                         <input type="checkbox" id="edit_smart_include_global" ${playlist.include_global !== false ? 'checked' : ''}>
                         <span>Include Global Tracks</span>
                     </label>
+                    <label class="checkbox_label" for="edit_smart_require_scene">
+                        <input type="checkbox" id="edit_smart_require_scene" ${playlist.require_scene ? 'checked' : ''}>
+                        <span>Require current scene tags</span>
+                    </label>
+                </div>
+                
+                <div style="margin-bottom: 1em;">
+                    <label for="edit_smart_playlist_ambient" style="display: block; margin-bottom: 0.3em;">Ambience Tags (comma-separated, optional)</label>
+                    <input type="text" class="text_pole" id="edit_smart_playlist_ambient" value="${(playlist.ambient_tags || []).join(', ')}" placeholder="e.g. rain, tavern">
                 </div>
                 
                 <div style="margin-bottom: 1em;">
@@ -1725,7 +3377,7 @@ function editPlaylist(name) {
                             <span>Manual: </span>
                         </label>
                         <select id="edit_emotion_override" class="text_pole" style="width: auto; display: inline-block;">
-                            ${EMOTION_TAGS.map(tag => `<option value="${tag}" ${playlist.emotion_override === tag ? 'selected' : ''}>${tag}</option>`).join('')}
+                            ${getEmotionTags().map(tag => `<option value="${tag}" ${playlist.emotion_override === tag ? 'selected' : ''}>${tag}</option>`).join('')}
                         </select><br>
                         <label class="checkbox_label">
                             <input type="radio" name="edit_emotion_mode" value="off" ${playlist.emotion_mode === 'off' ? 'checked' : ''}>
@@ -1772,31 +3424,34 @@ function editPlaylist(name) {
         backdrop.append(editor);
         $('body').append(backdrop);
         
+        // Set via val() so quotes in the expression survive
+        $('#edit_smart_playlist_tags').val(getPlaylistQuery(playlist));
         setTimeout(() => $('#edit_smart_playlist_tags').focus(), 100);
 
         $('input[name="edit_emotion_mode"]').on('change', updateEditPreview);
         $('#edit_emotion_override').on('change', updateEditPreview);
         $('#edit_smart_include_global').on('change', updateEditPreview);
+        $('#edit_smart_require_scene').on('change', updateEditPreview);
         
         function updateEditPreview() {
-            const tagsInput = $('#edit_smart_playlist_tags').val().trim();
+            const queryInput = $('#edit_smart_playlist_tags').val().trim();
             const emotionMode = $('input[name="edit_emotion_mode"]:checked').val();
             const emotionOverride = $('#edit_emotion_override').val();
             const includeGlobal = $('#edit_smart_include_global').is(':checked');
+            const requireScene = $('#edit_smart_require_scene').is(':checked');
             
-            let tags = [];
-            if (tagsInput) {
-                tags = tagsInput.split(',').map(t => t.trim()).filter(Boolean);
-            }
+            const { resolved, error } = checkPlaylistQuery(queryInput);
+            $('#edit_smart_query_error').text(error || '');
+            $('#edit_smart_resolved_query').text(resolved !== queryInput ? `Resolves to: ${resolved || '(nothing)'}` : '');
             
-            // Add emotion tag based on mode
-            if (emotionMode === 'auto') {
-                tags.push(currentEmotion);
-            } else if (emotionMode === 'manual' && emotionOverride) {
-                tags.push(emotionOverride);
+            if (error) {
+                $('#edit_preview_count').text('Fix the tag expression to preview');
+                $('#edit_toggle_preview_list').hide();
+                $('#edit_preview_track_list').hide();
+                return;
             }
             
-            if (tags.length === 0) {
+            if (!queryInput && emotionMode === 'off') {
                 $('#edit_preview_count').text('Select emotion mode or enter tags to preview');
                 $('#edit_toggle_preview_list').hide();
                 $('#edit_preview_track_list').hide();
@@ -1804,7 +3459,13 @@ function editPlaylist(name) {
             }
             
             const context = getContext();
-            const matches = filterTracksByTags(tags, context.name2, includeGlobal);
+            const matches = getSmartPlaylistMatches({
+                query: queryInput,
+                emotion_mode: emotionMode,
+                emotion_override: emotionOverride,
+                include_global: includeGlobal,
+                require_scene: requireScene,
+            }, context.name2);
             
             $('#edit_preview_count').text(`${matches.length} tracks match`);
             
@@ -1842,24 +3503,30 @@ function editPlaylist(name) {
         setTimeout(updateEditPreview, 100);
         
         $('#update_smart_playlist').on('click', () => {
-            const tagsInput = $('#edit_smart_playlist_tags').val().trim();
+            const queryInput = $('#edit_smart_playlist_tags').val().trim();
             const emotionMode = $('input[name="edit_emotion_mode"]:checked').val();
             const emotionOverride = $('#edit_emotion_override').val();
             
-            const tags = tagsInput ? tagsInput.split(',').map(t => t.trim()).filter(Boolean) : [];
+            const { error } = parseTagQuery(queryInput);
+            if (error) {
+                alert(`Invalid tag expression: ${error}`);
+                return;
+            }
             
             // Validate: need either base tags OR an emotion mode that adds tags
-            if (tags.length === 0 && emotionMode === 'off') {
+            if (!queryInput && emotionMode === 'off') {
                 alert('Please enter at least one tag or enable emotion filtering');
                 return;
             }
             
             extension_settings.audio.playlists[name] = {
                 type: 'smart',
-                tags: tags,
+                query: queryInput,
                 emotion_mode: emotionMode,
                 emotion_override: emotionMode === 'manual' ? emotionOverride : null,
-                include_global: $('#edit_smart_include_global').is(':checked')
+                include_global: $('#edit_smart_include_global').is(':checked'),
+                require_scene: $('#edit_smart_require_scene').is(':checked'),
+                ambient_tags: parseTagList($('#edit_smart_playlist_ambient').val())
             };
             
             saveSettingsDebounced();
@@ -1900,6 +3567,11 @@ function editPlaylist(name) {
             <div class="manual-playlist-editor">
                 <h3 style="margin-top: 0;">Edit Manual Playlist: ${name}</h3>
                 
+                <div style="margin-bottom: 1em;">
+                    <label for="edit_manual_playlist_ambient" style="display: block; margin-bottom: 0.3em;">Ambience Tags (comma-separated, optional)</label>
+                    <input type="text" class="text_pole" id="edit_manual_playlist_ambient" value="${(playlist.ambient_tags || []).join(', ')}" placeholder="e.g. rain, tavern">
+                </div>
+                
                 <div style="margin-bottom: 0.5em;">
                     <label class="checkbox_label" for="edit_manual_show_global">
                         <input type="checkbox" id="edit_manual_show_global" checked>
@@ -1984,6 +3656,7 @@ function editPlaylist(name) {
             }
             
             extension_settings.audio.playlists[name].tracks = selectedTracks;
+            extension_settings.audio.playlists[name].ambient_tags = parseTagList($('#edit_manual_playlist_ambient').val());
             
             if (extension_settings.audio.debug_mode) {
                 console.log(DEBUG_PREFIX, 'Updated manual playlist:', name, extension_settings.audio.playlists[name]);
@@ -2027,263 +3700,3961 @@ function updatePlaylistDropdown() {
 }
 
 // ============================================
-// PLAYBACK ENGINE
+// CROSSFADE
 // ============================================
 
-function filterTracksByTags(tags, characterName = null, includeGlobal = true) {
-    if (trackLibrary.global.length === 0 && Object.keys(trackLibrary.character).length === 0) {
-        if (extension_settings.audio.debug_mode) {
-            console.warn(DEBUG_PREFIX, 'filterTracksByTags called but track library is empty!');
+// Two alternating music players so an outgoing track can fade under the new one
+let activePlayerIndex = 0;
+const playerFadeLevels = new Map();
+const playerFadeTimers = new Map();
+
+function getBgmPlayers() {
+    return [$('#audio_bgm')[0], $('#audio_bgm_alt')[0]];
+}
+
+function getBgmPlayer() {
+    return getBgmPlayers()[activePlayerIndex];
+}
+
+function getFadeLevel(player) {
+    return playerFadeLevels.has(player) ? playerFadeLevels.get(player) : 1;
+}
+
+function getCrossfadeDuration(transition) {
+    const durations = {
+        emotion: extension_settings.audio.crossfade_emotion,
+        manual: extension_settings.audio.crossfade_manual,
+        natural: extension_settings.audio.crossfade_natural,
+    };
+    return Math.max(0, Number(durations[transition]) || 0);
+}
+
+// Player volume is the user's volume scaled by the player's current fade level
+function applyBgmVolume() {
+    const volume = Math.min(100, Math.max(0, extension_settings.audio.bgm_volume + volumeOffset)) * 0.01;
+    
+    getBgmPlayers().forEach(player => {
+        if (!player) return;
+        const level = Math.min(1, Math.max(0, volume * getFadeLevel(player)));
+        const loop = playerLoops.get(player);
+        
+        player.volume = level;
+        // A looping track is heard through its buffer, not the element
+        player.muted = extension_settings.audio.bgm_muted || Boolean(loop);
+        if (loop) {
+            loop.gain.gain.value = extension_settings.audio.bgm_muted ? 0 : level * dbToGain(getTrackGain(loop.path));
         }
+    });
+}
+
+function cancelFade(player) {
+    const fade = playerFadeTimers.get(player);
+    if (fade) {
+        clearInterval(fade.timer);
+        playerFadeTimers.delete(player);
+        fade.resolve(false);
     }
-    
-    let tracks = [];
-    
-    if (includeGlobal) {
-        tracks = [...trackLibrary.global];
+}
+
+/**
+ * Ramps a player's fade level. Resolves true when the ramp completes and
+ * false when another fade on the same player cancelled it first.
+ */
+function fadePlayer(player, to, durationSeconds) {
+    cancelFade(player);
+    
+    const from = getFadeLevel(player);
+    if (durationSeconds <= 0 || from === to) {
+        playerFadeLevels.set(player, to);
+        applyBgmVolume();
+        return Promise.resolve(true);
     }
     
-    if (characterName && trackLibrary.character[characterName]) {
-        tracks = [...trackLibrary.character[characterName], ...tracks];
-    } else if (!characterName) {
-        Object.values(trackLibrary.character).forEach(charTracks => {
-            tracks = [...charTracks, ...tracks];
+    return new Promise(resolve => {
+        const start = performance.now();
+        const timer = setInterval(() => {
+            const progress = Math.min(1, (performance.now() - start) / (durationSeconds * 1000));
+            playerFadeLevels.set(player, from + (to - from) * progress);
+            applyBgmVolume();
+            
+            if (progress >= 1) {
+                clearInterval(timer);
+                playerFadeTimers.delete(player);
+                resolve(true);
+            }
+        }, FADE_STEP_MS);
+        
+        playerFadeTimers.set(player, { timer, resolve });
+    });
+}
+
+// Fades out and pauses both music players (pause, disable, /d-audio off)
+function fadeOutMusic() {
+    const duration = Math.max(0, Number(extension_settings.audio.fade_stop) || 0);
+    
+    return Promise.all(getBgmPlayers().map(player => {
+        if (player.paused) return Promise.resolve();
+        return fadePlayer(player, 0, duration).then(completed => {
+            if (completed) player.pause();
         });
+    }));
+}
+
+function pausePlayback() {
+    if (!currentTrack || isPaused) return;
+    isPaused = true;
+    saveChatPosition();
+    fadeOutMusic();
+    updatePauseButton();
+}
+
+function resumePlayback() {
+    if (!currentTrack) {
+        const track = getNextTrack();
+        if (track) playTrack(track);
+        return;
     }
     
-    const matches = tracks.filter(path => {
-        const metadata = trackLibrary.metadata[path];
-        if (!metadata || !metadata.tags) {
-            return false;
+    isPaused = false;
+    trackStartedInChat = true;
+    const audio = getBgmPlayer();
+    audio.play()
+        .then(() => fadePlayer(audio, 1, Math.max(0, Number(extension_settings.audio.fade_stop) || 0)))
+        .catch(error => console.error(DEBUG_PREFIX, 'Error resuming track:', error));
+    updatePauseButton();
+}
+
+function updatePauseButton() {
+    const icon = isPaused ? 'fa-play' : 'fa-pause';
+    $('#audio_pause i').removeClass('fa-play fa-pause').addClass(icon);
+    $('#audio_pause span').text(isPaused ? 'Resume' : 'Pause');
+}
+
+// Starts the next track a crossfade-length before the current one runs out
+function onBgmTimeUpdate(event) {
+    const audio = event.target;
+    const loop = playerLoops.get(audio);
+    if (loop) {
+        syncLoopClock(audio, loop);
+    }
+    if (audio !== getBgmPlayer() || audio.paused || !isFinite(audio.duration)) return;
+    
+    const fadeDuration = getCrossfadeDuration('natural');
+    if (loop) {
+        const remaining = getLoopRemaining(loop);
+        if (fadeDuration > 0 && remaining <= fadeDuration) {
+            advanceOnTrackEnd();
+        } else if (fadeDuration === 0 && remaining <= 1) {
+            endLoopAfter(audio, loop, remaining);
         }
-        
-        const hasAllTags = tags.every(tag => metadata.tags.includes(tag));
-        return hasAllTags;
-    });
+        return;
+    }
     
-    return matches;
+    const range = getPlaybackRange(audio);
+    const remaining = range.end - audio.currentTime;
+    if (range.trimmed && remaining <= 0) {
+        finishTrack(audio);
+    } else if (fadeDuration > 0 && remaining <= fadeDuration) {
+        advanceOnTrackEnd();
+    }
 }
 
-function selectTrack(skipForward = false) {
-    const mode = extension_settings.audio.mode;
-    const context = getContext();
-    const characterName = context.name2;
+// The track ran out, or reached its trim end
+function finishTrack(audio) {
+    if (audio !== getBgmPlayer()) return;
+    
+    if (extension_settings.audio.loop_single) {
+        audio.currentTime = getPlaybackRange(audio).start;
+        if (audio.paused) {
+            audio.play().catch(error => console.error(DEBUG_PREFIX, 'Error looping track:', error));
+        }
+        return;
+    }
     
-    let candidates = [];
+    audio.pause();
+    advanceOnTrackEnd();
+}
+
+function advanceOnTrackEnd() {
+    if (trackEndHandled || extension_settings.audio.loop_single) return;
+    trackEndHandled = true;
     
-    if (mode === 'instrumental') {
-        const tags = ['instrumental'];
-        const includeGlobal = extension_settings.audio.instrumental_include_global !== false;
-        
-        if (extension_settings.audio.emotion_detection) {
-            tags.push(currentEmotion);
-        }
-        candidates = filterTracksByTags(tags, characterName, includeGlobal);
+    if (stepForward('natural')) return;
+    
+    const track = getNextTrack();
+    if (track) playTrack(track, 'natural');
+}
+
+// ============================================
+// LOUDNESS NORMALIZATION
+// ============================================
+
+// Music players are only routed through Web Audio once a track needs a gain other than 0 dB
+let bgmAudioContext = null;
+let decodeAudioContext = null;
+const playerGainNodes = new Map();
+const playerTracks = new Map(); // Player -> track path it was last given
+let loudnessAnalysis = null; // { cancelled } while a batch analysis runs
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Measured gain (when normalization is on) plus the user's manual trim, in dB
+function getTrackGain(path) {
+    const metadata = trackLibrary.metadata[path] || {};
+    const loudness = extension_settings.audio.track_loudness[path] || {};
+    const measured = extension_settings.audio.loudness_normalization ? Number(loudness.gain) || 0 : 0;
+    const gain = measured + (Number(metadata.gain_trim) || 0);
+    return Math.min(LOUDNESS_GAIN_LIMIT, Math.max(-LOUDNESS_GAIN_LIMIT, gain));
+}
+
+function getPlayerGainNode(player) {
+    if (!playerGainNodes.has(player)) {
+        const context = getBgmAudioContext();
+        const gain = context.createGain();
+        context.createMediaElementSource(player).connect(gain).connect(context.destination);
+        playerGainNodes.set(player, gain);
+    }
+    return playerGainNodes.get(player);
+}
+
+function applyTrackGain(player) {
+    const db = getTrackGain(playerTracks.get(player));
+    if (db === 0 && !playerGainNodes.has(player)) return;
+    
+    try {
+        const node = getPlayerGainNode(player);
+        node.gain.value = dbToGain(db);
+        resumeBgmAudioContext();
+    } catch (error) {
+        console.error(DEBUG_PREFIX, 'Could not apply track gain:', error);
+    }
+}
+
+// A routed player stays on Web Audio for good (even at 0 dB), so it's only audible while the context runs
+function resumeBgmAudioContext() {
+    if (bgmAudioContext && bgmAudioContext.state === 'suspended') {
+        bgmAudioContext.resume().catch(error => {
+            if (extension_settings.audio.debug_mode) {
+                console.warn(DEBUG_PREFIX, 'Could not resume audio context:', error);
+            }
+        });
+    }
+}
+
+function onRoutedPlayerPlay(event) {
+    if (playerGainNodes.has(event.target)) resumeBgmAudioContext();
+}
+
+function refreshTrackGains() {
+    getBgmPlayers().forEach(player => {
+        if (player && playerTracks.has(player)) applyTrackGain(player);
+    });
+    applyBgmVolume();
+}
+
+// Biquad coefficients for the two BS.1770 K-weighting stages at any sample rate
+function getKWeightingFilters(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let Q = 0.7071752369554196;
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+    };
+    
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+        b: [1, -2, 1],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+    };
+    
+    return [shelf, highpass];
+}
+
+/**
+ * Integrated loudness (LUFS) of decoded audio, following EBU R128: K-weighted
+ * 400ms blocks with 75% overlap, an absolute gate at -70 LUFS and a relative
+ * gate 10 LU below the ungated level.
+ * @param {Float32Array[]} channels
+ * @returns {number} -Infinity for silence
+ */
+function measureLoudness(channels, sampleRate) {
+    const step = Math.round(sampleRate * 0.1);
+    const stepCount = Math.floor(channels[0].length / step);
+    const stepPower = new Float64Array(stepCount);
+    const [shelf, highpass] = getKWeightingFilters(sampleRate);
+    
+    // Both stages are unrolled; this loop runs once per sample of the whole file
+    channels.forEach(samples => {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+        
+        for (let s = 0; s < stepCount; s++) {
+            let sum = 0;
+            for (let i = s * step; i < (s + 1) * step; i++) {
+                const x = samples[i];
+                const y = shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[0] * y1 - shelf.a[1] * y2;
+                const z = y - 2 * y1 + y2 - highpass.a[0] * z1 - highpass.a[1] * z2;
+                x2 = x1;
+                x1 = x;
+                y2 = y1;
+                y1 = y;
+                z2 = z1;
+                z1 = z;
+                sum += z * z;
+            }
+            stepPower[s] += sum / step;
+        }
+    });
+    
+    const blocks = [];
+    for (let s = 0; s + 4 <= stepCount; s++) {
+        blocks.push((stepPower[s] + stepPower[s + 1] + stepPower[s + 2] + stepPower[s + 3]) / 4);
+    }
+    
+    const toLufs = power => -0.691 + 10 * Math.log10(power);
+    const average = list => list.reduce((sum, power) => sum + power, 0) / list.length;
+    
+    const audible = blocks.filter(power => toLufs(power) > -70);
+    if (audible.length === 0) return -Infinity;
+    
+    const threshold = toLufs(average(audible)) - 10;
+    const gated = audible.filter(power => toLufs(power) > threshold);
+    return toLufs(average(gated));
+}
+
+/**
+ * Finds a track's normalization gain: from its ReplayGain tag when it has one,
+ * otherwise by decoding the file and measuring it.
+ * @returns {Promise<{gain: number, source: 'tag'|'analysis'}|null>} null for silent files
+ */
+async function analyzeTrackLoudness(path) {
+    try {
+        const embedded = await readEmbeddedTags(path);
+        if (embedded && embedded.replayGain !== null) {
+            return { gain: embedded.replayGain, source: 'tag' };
+        }
+    } catch (error) {
+        // Unreadable tags just mean measuring the audio instead
+    }
+    
+    const response = await fetch(encodeTrackPath(path));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    decodeAudioContext = decodeAudioContext || new OfflineAudioContext(1, 1, 44100);
+    const buffer = await decodeAudioContext.decodeAudioData(await response.arrayBuffer());
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    const loudness = measureLoudness(channels, buffer.sampleRate);
+    
+    return isFinite(loudness) ? { gain: LOUDNESS_TARGET - loudness, source: 'analysis' } : null;
+}
+
+// Results live outside track_metadata so analyzing a file doesn't give it a metadata entry
+async function analyzeAndStoreLoudness(path) {
+    const result = await analyzeTrackLoudness(path);
+    const loudness = {
+        gain: result ? Math.round(result.gain * 10) / 10 : 0,
+        source: result ? result.source : 'analysis',
+    };
+    extension_settings.audio.track_loudness[path] = loudness;
+    
+    return loudness;
+}
+
+function describeLoudness(loudness) {
+    if (!loudness) {
+        return 'Not analyzed yet';
+    }
+    const gain = loudness.gain;
+    const source = loudness.source === 'tag' ? 'ReplayGain tag' : 'measured';
+    return `Auto gain ${gain > 0 ? '+' : ''}${gain} dB (${source})`;
+}
+
+function openLoudnessAnalyzer() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const tracks = getLibraryTracks();
+    const pending = tracks.filter(path => !extension_settings.audio.track_loudness[path]);
+    
+    const modal = $(`
+        <div class="loudness-analyzer-modal">
+            <h3 style="margin-top: 0;">Analyze Loudness</h3>
+            <p style="opacity: 0.8; font-size: 0.9em;">
+                Measures how loud each track is so they all play at a similar level. Tracks with ReplayGain tags are read instead of measured.
+                ${pending.length} of ${tracks.length} tracks haven't been analyzed yet.
+            </p>
+            <label class="checkbox_label" for="loudness_reanalyze">
+                <input type="checkbox" id="loudness_reanalyze" ${pending.length === 0 ? 'checked' : ''}>
+                <span>Re-analyze tracks that already have a gain</span>
+            </label>
+            
+            <div id="loudness_progress" style="display: none; margin-top: 1em;">
+                <progress id="loudness_progress_bar" value="0" max="1" style="width: 100%;"></progress>
+                <div id="loudness_progress_text" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.3em;"></div>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="start_loudness" style="flex: 1;">
+                    <i class="fa-solid fa-wave-square"></i> Analyze
+                </button>
+                <button class="menu_button" id="close_loudness" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Close
+                </button>
+            </div>
+        </div>
+    `);
+    
+    modal.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '500px',
+        'width': '90%',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(modal);
+    $('body').append(backdrop);
+    
+    // Closing the modal cancels a running batch after the current track
+    function close() {
+        if (loudnessAnalysis) {
+            loudnessAnalysis.cancelled = true;
+        }
+        backdrop.remove();
+    }
+    
+    $('#start_loudness').on('click', async () => {
+        if (loudnessAnalysis) return;
+        
+        const paths = $('#loudness_reanalyze').is(':checked') ? tracks : pending;
+        const run = { cancelled: false };
+        loudnessAnalysis = run;
+        
+        $('#start_loudness').prop('disabled', true);
+        $('#loudness_reanalyze').prop('disabled', true);
+        $('#loudness_progress').show();
+        $('#loudness_progress_bar').attr('max', Math.max(1, paths.length));
+        
+        let failed = 0;
+        for (let i = 0; i < paths.length && !run.cancelled; i++) {
+            const metadata = trackLibrary.metadata[paths[i]] || {};
+            $('#loudness_progress_bar').val(i);
+            $('#loudness_progress_text').text(`${i + 1} / ${paths.length}: ${metadata.title || paths[i].split('/').pop()}`);
+            
+            try {
+                await analyzeAndStoreLoudness(paths[i]);
+            } catch (error) {
+                failed++;
+                console.warn(DEBUG_PREFIX, `Could not analyze ${paths[i]}:`, error);
+            }
+        }
+        
+        loudnessAnalysis = null;
+        saveMetadata();
+        refreshTrackGains();
+        
+        $('#loudness_progress_bar').val(paths.length);
+        $('#loudness_progress_text').text(`${run.cancelled ? 'Stopped. ' : 'Done. '}${failed ? `${failed} track(s) could not be decoded.` : ''}`);
+        $('#start_loudness').prop('disabled', false);
+        $('#loudness_reanalyze').prop('disabled', false);
+    });
+    
+    $('#close_loudness').on('click', close);
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            close();
+        }
+    });
+    
+    modal.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// LOOP POINTS
+// ============================================
+
+// Tracks with loop points are heard from a decoded buffer whose loop Web Audio schedules
+// sample-accurately. The <audio> element starts the track as usual and is heard until the
+// buffer has decoded, then keeps playing muted beside it as the clock, so pause, seeking,
+// crossfades and the progress bar work the same as for any other track.
+const playerLoops = new Map(); // Player -> loop state while its track plays from a buffer
+const trackBuffers = new Map(); // Track path -> { promise, bytes }, least recently used first
+let loopPreview = null; // Buffer source playing in the track editor
+
+function getBgmAudioContext() {
+    bgmAudioContext = bgmAudioContext || new AudioContext();
+    return bgmAudioContext;
+}
+
+function getLoopPoints(path) {
+    const metadata = trackLibrary.metadata[path] || {};
+    const start = Number(metadata.loop_start);
+    const end = Number(metadata.loop_end);
+    return isFinite(start) && isFinite(end) && start >= 0 && end > start ? { start, end } : null;
+}
+
+function loadTrackBuffer(path) {
+    let entry = trackBuffers.get(path);
+    trackBuffers.delete(path);
+    
+    if (!entry) {
+        entry = { promise: null, bytes: 0 };
+        entry.promise = fetch(encodeTrackPath(path))
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => getBgmAudioContext().decodeAudioData(data))
+            .then(buffer => {
+                entry.bytes = buffer.length * buffer.numberOfChannels * Float32Array.BYTES_PER_ELEMENT;
+                trimTrackBuffers();
+                return buffer;
+            });
+        entry.promise.catch(() => {
+            if (trackBuffers.get(path) === entry) trackBuffers.delete(path);
+        });
+    }
+    
+    trackBuffers.set(path, entry);
+    trimTrackBuffers();
+    return entry.promise;
+}
+
+// Decoded audio is large (a ten-minute stereo track is about 200 MB), so the cache is capped by size
+function trimTrackBuffers() {
+    let total = 0;
+    trackBuffers.forEach(entry => total += entry.bytes);
+    
+    for (const [path, entry] of trackBuffers) {
+        if (total <= LOOP_BUFFER_CACHE_BYTES || trackBuffers.size <= 1) break;
+        trackBuffers.delete(path);
+        total -= entry.bytes;
+    }
+}
+
+// The element loops too while a buffer drives it, so it never fires 'ended' mid-track.
+// Trimmed tracks loop by hand instead, back to their start offset.
+function applyLoopMode(player) {
+    const trim = getTrimPoints(playerTracks.get(player));
+    const trimmed = trim.start > 0 || trim.end !== null;
+    player.loop = playerLoops.has(player) || (extension_settings.audio.loop_single && !trimmed);
+}
+
+// Called once the element is already playing, so decoding never delays the start or the crossfade.
+// The buffer takes over from wherever the element has got to.
+async function prepareLoopPlayback(player, path) {
+    const points = getLoopPoints(path);
+    if (!points) return;
+    
+    try {
+        const buffer = await loadTrackBuffer(path);
+        if (playerTracks.get(player) !== path || playerLoops.has(player)) return;
+        
+        const end = Math.min(points.end, buffer.duration);
+        if (end <= points.start) return;
+        
+        // A slow decode can finish after the element has passed the loop end. The buffer can't
+        // pick up from there without jumping back, so this play runs to the end unlooped.
+        if (player.currentTime >= end) {
+            if (extension_settings.audio.debug_mode) {
+                console.log(DEBUG_PREFIX, `Loop for ${path} decoded after its end point, playing through`);
+            }
+            return;
+        }
+        
+        const context = getBgmAudioContext();
+        const gain = context.createGain();
+        gain.connect(context.destination);
+        
+        const loop = { path, buffer, start: points.start, end, gain, source: null, linear: player.currentTime, startedAt: 0, syncing: false, ending: false };
+        playerLoops.set(player, loop);
+        applyLoopMode(player);
+        if (!player.paused) startLoopSource(loop);
+        applyBgmVolume();
+    } catch (error) {
+        console.error(DEBUG_PREFIX, 'Could not decode loop track, playing it without loop points:', error);
+    }
+}
+
+function stopLoopPlayback(player) {
+    const loop = playerLoops.get(player);
+    if (!loop) return;
+    
+    stopLoopSource(loop);
+    loop.gain.disconnect();
+    playerLoops.delete(player);
+    applyLoopMode(player);
+}
+
+// Position as if every pass of the loop were laid end to end, so passes can be counted
+function getLoopLinear(loop) {
+    return loop.source ? loop.linear + (bgmAudioContext.currentTime - loop.startedAt) : loop.linear;
+}
+
+function getLoopPosition(loop, linear = getLoopLinear(loop)) {
+    if (linear < loop.end) return linear;
+    return loop.start + (linear - loop.start) % (loop.end - loop.start);
+}
+
+function getLoopPasses(loop, linear = getLoopLinear(loop)) {
+    return linear < loop.end ? 0 : Math.floor((linear - loop.start) / (loop.end - loop.start));
+}
+
+// Seconds until the loop has played loop_repeats times; Infinity while it should keep looping
+function getLoopRemaining(loop) {
+    const repeats = Number(extension_settings.audio.loop_repeats) || 0;
+    if (extension_settings.audio.loop_single || repeats <= 0) return Infinity;
+    
+    return loop.start + repeats * (loop.end - loop.start) - getLoopLinear(loop);
+}
+
+function startLoopSource(loop) {
+    if (loop.source) return;
+    
+    const context = getBgmAudioContext();
+    const source = context.createBufferSource();
+    source.buffer = loop.buffer;
+    source.loop = true;
+    source.loopStart = loop.start;
+    source.loopEnd = loop.end;
+    source.connect(loop.gain);
+    source.start(0, getLoopPosition(loop));
+    
+    loop.source = source;
+    loop.startedAt = context.currentTime;
+    loop.ending = false;
+    if (context.state === 'suspended') {
+        context.resume();
+    }
+}
+
+function stopLoopSource(loop) {
+    if (!loop.source) return;
+    
+    loop.linear = getLoopLinear(loop);
+    loop.source.onended = null;
+    loop.source.stop();
+    loop.source.disconnect();
+    loop.source = null;
+}
+
+// Without a crossfade the last pass ends exactly on the loop end, then the next track starts
+function endLoopAfter(player, loop, remaining) {
+    if (loop.ending || !loop.source) return;
+    loop.ending = true;
+    
+    loop.source.onended = () => {
+        if (playerLoops.get(player) === loop && player === getBgmPlayer()) {
+            advanceOnTrackEnd();
+        }
+    };
+    loop.source.stop(bgmAudioContext.currentTime + Math.max(0, remaining));
+}
+
+// Pulls the muted element back to where the buffer actually is
+function syncLoopClock(player, loop) {
+    if (!loop.source || loop.syncing) return;
+    
+    const position = getLoopPosition(loop);
+    if (Math.abs(player.currentTime - position) > LOOP_SYNC_TOLERANCE) {
+        loop.syncing = true;
+        player.currentTime = position;
+    }
+}
+
+function onLoopPlayerPlay(event) {
+    const loop = playerLoops.get(event.target);
+    if (loop) startLoopSource(loop);
+}
+
+function onLoopPlayerPause(event) {
+    const loop = playerLoops.get(event.target);
+    // Pause events from a src change arrive after the next play() already started
+    if (loop && event.target.paused) stopLoopSource(loop);
+}
+
+function onLoopPlayerSeeked(event) {
+    const player = event.target;
+    const loop = playerLoops.get(player);
+    if (!loop) return;
+    
+    if (loop.syncing) {
+        loop.syncing = false;
+        return;
+    }
+    
+    // Seeking keeps the passes already played, unless it went back into the intro
+    const passes = getLoopPasses(loop);
+    const wasPlaying = Boolean(loop.source);
+    stopLoopSource(loop);
+    loop.linear = player.currentTime < loop.start ? player.currentTime : player.currentTime + passes * (loop.end - loop.start);
+    if (wasPlaying) startLoopSource(loop);
+}
+
+function stopLoopPreview() {
+    if (!loopPreview) return;
+    loopPreview.stop();
+    loopPreview.disconnect();
+    loopPreview = null;
+}
+
+// Plays the last few seconds before the loop end so the seam can be checked
+async function previewLoop(path, start, end) {
+    stopLoopPreview();
+    
+    const buffer = await loadTrackBuffer(path);
+    const context = getBgmAudioContext();
+    const gain = context.createGain();
+    gain.gain.value = extension_settings.audio.bgm_volume * 0.01;
+    gain.connect(context.destination);
+    
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    source.loopStart = start;
+    source.loopEnd = Math.min(end, buffer.duration);
+    source.connect(gain);
+    source.onended = () => gain.disconnect();
+    source.start(0, Math.max(start, source.loopEnd - LOOP_PREVIEW_LEAD));
+    
+    if (context.state === 'suspended') {
+        context.resume();
+    }
+    loopPreview = source;
+}
+
+function formatLoopTime(seconds) {
+    return `${formatTime(seconds)}.${String(Math.floor((seconds % 1) * 100)).padStart(2, '0')}`;
+}
+
+// ============================================
+// TRIM POINTS
+// ============================================
+
+// Offsets that cut silence, spoken intros or video outros out of a track
+function getTrimPoints(path) {
+    const metadata = trackLibrary.metadata[path] || {};
+    const start = Math.max(0, Number(metadata.trim_start) || 0);
+    const end = Number(metadata.trim_end);
+    return { start, end: isFinite(end) && end > start ? end : null };
+}
+
+// The part of the player's track that plays, clamped to what the file actually holds
+function getPlaybackRange(audio) {
+    const trim = getTrimPoints(playerTracks.get(audio));
+    const trimmed = trim.end !== null && trim.end < audio.duration;
+    const end = trimmed ? trim.end : audio.duration;
+    return { start: Math.min(trim.start, end), end, trimmed };
+}
+
+// Progress bars show the trimmed range, not the whole file
+function getPlaybackProgress(audio) {
+    const range = getPlaybackRange(audio);
+    const length = Math.max(0, range.end - range.start);
+    const elapsed = Math.min(length, Math.max(0, audio.currentTime - range.start));
+    return { elapsed, length, percent: length > 0 ? (elapsed / length) * 100 : 0 };
+}
+
+function getSeekTime(audio, percent) {
+    const range = getPlaybackRange(audio);
+    return range.start + (percent / 100) * (range.end - range.start);
+}
+
+/**
+ * Finds where sound starts and stops in decoded audio.
+ * @returns {{start: number, end: number}|null} null when the whole track is silent
+ */
+function detectSilence(buffer) {
+    const threshold = dbToGain(SILENCE_THRESHOLD_DB);
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+    const isAudible = index => channels.some(data => Math.abs(data[index]) > threshold);
+    
+    let first = 0;
+    while (first < buffer.length && !isAudible(first)) first++;
+    if (first >= buffer.length) return null;
+    
+    let last = buffer.length - 1;
+    while (last > first && !isAudible(last)) last--;
+    
+    return {
+        start: Math.max(0, first / buffer.sampleRate - SILENCE_PADDING),
+        end: Math.min(buffer.duration, (last + 1) / buffer.sampleRate + SILENCE_PADDING),
+    };
+}
+
+// ============================================
+// TAG QUERIES
+// ============================================
+
+const TAG_QUERY_OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Splits a tag expression into tokens. Operators are upper-case only so tags
+ * like "love and war" still read as one multi-word tag.
+ */
+function tokenizeTagQuery(text) {
+    const tokens = [];
+    let index = 0;
+    
+    while (index < text.length) {
+        const char = text[index];
+        
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char });
+            index++;
+        } else if (char === '"') {
+            const end = text.indexOf('"', index + 1);
+            if (end === -1) {
+                throw new Error('Missing closing quote');
+            }
+            tokens.push({ type: 'tag', value: text.slice(index + 1, end) });
+            index = end + 1;
+        } else {
+            const word = text.slice(index).match(/^[^\s(),"]+/)[0];
+            tokens.push(TAG_QUERY_OPERATORS.includes(word) ? { type: word } : { type: 'word', value: word });
+            index += word.length;
+        }
+    }
+    
+    return tokens;
+}
+
+function createTagNode(value) {
+    const pattern = value.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return { type: 'tag', value: value.trim(), pattern: new RegExp(`^${pattern}$`, 'i') };
+}
+
+/**
+ * Parses a smart playlist tag expression. Commas bind loosest and mean AND, so
+ * "arc:revenge, anger OR fear" is arc:revenge AND (anger OR fear), and old
+ * comma-separated tag lists keep their meaning.
+ * @returns {{query: object|null, error: string|null}} null query matches every track
+ */
+function parseTagQuery(text) {
+    let tokens;
+    try {
+        tokens = tokenizeTagQuery(text || '');
+    } catch (error) {
+        return { query: null, error: error.message };
+    }
+    
+    let position = 0;
+    const peek = () => tokens[position];
+    const describe = (token) => token ? (token.value || token.type) : 'end of expression';
+    
+    function parseList() {
+        const items = [];
+        while (peek() && peek().type !== ')') {
+            if (peek().type === ',') {
+                position++;
+                continue;
+            }
+            items.push(parseOr());
+            if (peek() && peek().type !== ',' && peek().type !== ')') {
+                throw new Error(`Expected AND, OR or a comma before "${describe(peek())}"`);
+            }
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+    
+    function parseOr() {
+        const items = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            position++;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+    
+    function parseAnd() {
+        const items = [parseNot()];
+        while (peek() && peek().type === 'AND') {
+            position++;
+            items.push(parseNot());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+    
+    function parseNot() {
+        if (peek() && peek().type === 'NOT') {
+            position++;
+            return { type: 'not', item: parseNot() };
+        }
+        return parsePrimary();
+    }
+    
+    function parsePrimary() {
+        const token = peek();
+        
+        if (token && token.type === '(') {
+            position++;
+            const inner = parseList();
+            if (!peek() || peek().type !== ')') {
+                throw new Error('Missing closing parenthesis');
+            }
+            if (inner.type === 'and' && inner.items.length === 0) {
+                throw new Error('Empty parentheses');
+            }
+            position++;
+            return inner;
+        }
+        
+        if (token && token.type === 'tag') {
+            position++;
+            return createTagNode(token.value);
+        }
+        
+        // Consecutive plain words form one multi-word tag
+        const words = [];
+        while (peek() && peek().type === 'word') {
+            words.push(peek().value);
+            position++;
+        }
+        if (words.length === 0) {
+            throw new Error(`Expected a tag but found "${describe(token)}"`);
+        }
+        
+        let text = words.join(' ');
+        
+        // artist="Name With (Parens)" - the quoted value arrives as its own token
+        if (/^(artist|album)\s*!?=$/i.test(text) && peek() && peek().type === 'tag') {
+            text += peek().value;
+            position++;
+        }
+        
+        const field = text.match(/^(artist|album)\s*(!?=)\s*(.+)$/i);
+        if (field) {
+            const node = createTagNode(field[3]);
+            return { type: 'field', field: field[1].toLowerCase(), negate: field[2] === '!=', pattern: node.pattern };
+        }
+        
+        const comparison = text.match(/^rating\s*(>=|<=|!=|>|<|=)\s*(\d+)$/i);
+        if (comparison) {
+            return { type: 'rating', operator: comparison[1], value: Number(comparison[2]) };
+        }
+        if (/^rating\s*[<>=!]/i.test(text)) {
+            throw new Error(`Invalid rating filter "${text}" (use e.g. rating>=4)`);
+        }
+        return createTagNode(text);
+    }
+    
+    try {
+        const query = parseList();
+        if (peek()) {
+            throw new Error(`Unexpected "${describe(peek())}"`);
+        }
+        return { query: query.type === 'and' && query.items.length === 0 ? null : query, error: null };
+    } catch (error) {
+        return { query: null, error: error.message };
+    }
+}
+
+function matchesTagQuery(query, metadata) {
+    if (!query) return true;
+    
+    switch (query.type) {
+        case 'tag':
+            return metadata.tags.some(tag => query.pattern.test(tag));
+        case 'rating':
+            return compareRating(metadata.rating || 0, query.operator, query.value);
+        case 'field':
+            return query.pattern.test(metadata[query.field] || '') !== query.negate;
+        case 'and':
+            return query.items.every(item => matchesTagQuery(item, metadata));
+        case 'or':
+            return query.items.some(item => matchesTagQuery(item, metadata));
+        case 'not':
+            return !matchesTagQuery(query.item, metadata);
+    }
+    return false;
+}
+
+function compareRating(rating, operator, value) {
+    switch (operator) {
+        case '>=': return rating >= value;
+        case '<=': return rating <= value;
+        case '>': return rating > value;
+        case '<': return rating < value;
+        case '!=': return rating !== value;
+        default: return rating === value;
+    }
+}
+
+// Older smart playlists stored a plain tag array; this is only its text for the editor
+function getPlaylistQuery(playlist) {
+    return playlist.query ?? (playlist.tags || []).join(', ');
+}
+
+// Legacy tag arrays keep their exact, case-sensitive matching instead of being re-read as an
+// expression, where tags like "Rock (Live)" or "A OR B" would turn into syntax
+function getPlaylistFilter(playlist) {
+    if (playlist.query === undefined && Array.isArray(playlist.tags)) {
+        return { query: playlist.tags, error: null };
+    }
+    
+    const resolved = resolvePlaylistQuery(playlist);
+    const result = parseTagQuery(resolved);
+    
+    // An unset variable must not turn the playlist into the whole library
+    if (!result.error && !result.query && resolved !== getPlaylistQuery(playlist)) {
+        return { query: null, error: 'The macros resolved to nothing' };
+    }
+    return result;
+}
+
+/**
+ * Fills in macros like {{getvar::location}}, {{char}} and {{user}} from the current chat.
+ * Each term holding a macro is quoted once filled in, so a value such as "Castle (ruined)"
+ * or "A OR B" stays one tag instead of becoming syntax. Macros inside a term that's already
+ * quoted are filled in within its quotes. Quotes can't be escaped, so they're dropped from values.
+ */
+function resolvePlaylistQuery(playlist) {
+    const text = getPlaylistQuery(playlist);
+    if (!text.includes('{{')) return text;
+    
+    return text.replace(/((?:artist|album)\s*!?=\s*)?(?:"([^"]*)"|([^\s(),"]*\{\{.*?\}\}[^\s(),"]*))/gi, (match, field = '', quoted, term) => {
+        if (quoted !== undefined && !quoted.includes('{{')) return match;
+        return `${field}"${substituteParams(quoted ?? term).replace(/"/g, '').trim()}"`;
+    });
+}
+
+// For the playlist editors: the expression as written must parse, and so should what the macros make of it right now
+function checkPlaylistQuery(text) {
+    const resolved = resolvePlaylistQuery({ query: text });
+    const { error } = parseTagQuery(text);
+    if (error || resolved === text) return { resolved, error };
+    
+    const resolvedError = getPlaylistFilter({ query: text }).error;
+    return { resolved, error: resolvedError ? `After macros: ${resolvedError}` : null };
+}
+
+// Narrows a tag list or parsed expression to tracks that also carry `tag`
+function withRequiredTag(base, tag) {
+    if (Array.isArray(base)) {
+        return [...base, tag];
+    }
+    return base ? { type: 'and', items: [base, createTagNode(tag)] } : createTagNode(tag);
+}
+
+// ============================================
+// TRACK ORDER
+// ============================================
+
+// Candidate lists keep library order, so sorting gives the same key for the same pool
+function getPoolKey(candidates) {
+    const text = [...candidates].sort().join('|');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return `${candidates.length}:${(hash >>> 0).toString(36)}`;
+}
+
+function notePlayed(path) {
+    lastPlayedAt.set(path, Date.now());
+    shuffleBag = shuffleBag.filter(track => track !== path);
+}
+
+function isRecentlyPlayed(path) {
+    const avoidTracks = Number(extension_settings.audio.shuffle_avoid_tracks) || 0;
+    if (avoidTracks > 0 && playHistory.slice(-avoidTracks).includes(path)) {
+        return true;
+    }
+    
+    const avoidMinutes = Number(extension_settings.audio.shuffle_avoid_minutes) || 0;
+    const playedAt = lastPlayedAt.get(path);
+    return avoidMinutes > 0 && playedAt !== undefined && Date.now() - playedAt < avoidMinutes * 60000;
+}
+
+/**
+ * Draws from a shuffle bag so the whole pool plays before anything repeats.
+ * Recently played tracks are skipped while the bag still has alternatives.
+ */
+function pickShuffled(candidates) {
+    const key = getPoolKey(candidates);
+    if (key !== shuffleBagKey || !shuffleBag.some(track => track !== currentTrack)) {
+        shuffleBagKey = key;
+        shuffleBag = [...candidates];
+    }
+    
+    const available = shuffleBag.filter(track => track !== currentTrack);
+    if (available.length === 0) {
+        return candidates[0];
+    }
+    
+    const fresh = available.filter(track => !isRecentlyPlayed(track));
+    let pool = fresh.length > 0 ? fresh : available;
+    let weights = pool.map(() => 1);
+    
+    if (extension_settings.audio.shuffle_weight_recent) {
+        // Least recently played (or never played) gets the most weight
+        pool = [...pool].sort((a, b) => (lastPlayedAt.get(a) || 0) - (lastPlayedAt.get(b) || 0));
+        weights = pool.map((track, index) => pool.length - index);
+    }
+    
+    if (extension_settings.audio.rating_weighting) {
+        weights = weights.map((weight, index) => weight * getRatingWeight(pool[index]));
+    }
+    
+    let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < pool.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return pool[i];
+    }
+    return pool[pool.length - 1];
+}
+
+/**
+ * Steps through the candidates in library order, continuing from the current
+ * track or from wherever this pool was left off.
+ */
+function pickInOrder(candidates) {
+    const positions = extension_settings.audio.sequence_positions;
+    const key = getPoolKey(candidates);
+    const anchor = candidates.includes(currentTrack) ? currentTrack : positions[key];
+    const next = candidates[(candidates.indexOf(anchor) + 1) % candidates.length];
+    
+    // Look-ups like getNextTrack pick too, so nothing is stored until the track plays
+    pendingSequencePosition = { key, track: next };
+    return next;
+}
+
+function commitSequencePosition(trackPath) {
+    const pending = pendingSequencePosition;
+    if (!pending || pending.track !== trackPath) return;
+    pendingSequencePosition = null;
+    
+    // Re-insert so the oldest pools are the ones dropped
+    const positions = extension_settings.audio.sequence_positions;
+    delete positions[pending.key];
+    positions[pending.key] = trackPath;
+    const keys = Object.keys(positions);
+    keys.slice(0, Math.max(0, keys.length - SEQUENCE_POSITION_LIMIT)).forEach(oldKey => delete positions[oldKey]);
+    saveSettingsDebounced();
+}
+
+// ============================================
+// PLAYBACK ENGINE
+// ============================================
+
+/**
+ * @param {string[]|object|null} tags - tags every match must carry, or a parsed tag expression (null matches all)
+ */
+function filterTracksByTags(tags, characterName = null, includeGlobal = true) {
+    if (trackLibrary.global.length === 0 && Object.keys(trackLibrary.character).length === 0) {
+        if (extension_settings.audio.debug_mode) {
+            console.warn(DEBUG_PREFIX, 'filterTracksByTags called but track library is empty!');
+        }
+    }
+    
+    let tracks = [];
+    
+    if (includeGlobal) {
+        tracks = [...trackLibrary.global];
+    }
+    
+    if (characterName && trackLibrary.character[characterName]) {
+        tracks = [...trackLibrary.character[characterName], ...tracks];
+    } else if (!characterName) {
+        Object.values(trackLibrary.character).forEach(charTracks => {
+            tracks = [...charTracks, ...tracks];
+        });
+    }
+    
+    const matches = tracks.filter(path => {
+        const metadata = trackLibrary.metadata[path];
+        if (!metadata || !metadata.tags) {
+            return false;
+        }
+        
+        // Plain tag lists must carry every tag; parsed expressions are evaluated
+        if (Array.isArray(tags)) {
+            return tags.every(tag => metadata.tags.includes(tag));
+        }
+        return matchesTagQuery(tags, metadata);
+    });
+    
+    return matches;
+}
+
+/**
+ * Builds the order in which emotions are tried when no track carries the
+ * requested one: explicit similar emotions first, then the rest of its
+ * valence/arousal group, then neutral.
+ */
+function getEmotionFallbackChain(emotion) {
+    const chain = [emotion];
+    
+    if (extension_settings.audio.emotion_fallback_enabled) {
+        chain.push(...(getEmotionFallbackGraph()[emotion] || []));
+        
+        if (extension_settings.audio.emotion_fallback_groups) {
+            Object.values(EMOTION_GROUPS)
+                .filter(group => group.includes(emotion))
+                .forEach(group => chain.push(...group));
+        }
+        
+        chain.push('neutral');
+    }
+    
+    return [...new Set(chain)];
+}
+
+function getEmotionFallbackGraph() {
+    return extension_settings.audio.emotion_fallbacks ?? EMOTION_FALLBACKS;
+}
+
+/**
+ * Walks the emotion's fallback chain and returns the first non-empty match.
+ * @param {string[]|object|null} baseTags - tag list or parsed tag expression each step is narrowed from
+ * @param {boolean} requireScene - only count tracks carrying every scene tag
+ * @returns {{matches: string[], emotion: string|null}} the matches and the emotion that produced them
+ */
+function filterTracksByEmotionChain(baseTags, emotion, characterName = null, includeGlobal = true, requireScene = false) {
+    for (const step of getEmotionFallbackChain(emotion)) {
+        // Banned tracks are dropped per step, so an emotion whose only tracks are banned falls through
+        let matches = filterTracksByTags(withRequiredTag(baseTags, step), characterName, includeGlobal)
+            .filter(path => isMusicCandidate(path, characterName));
+        if (requireScene) {
+            matches = requireSceneContext(matches);
+        }
+        
+        if (matches.length > 0) {
+            if (step !== emotion && extension_settings.audio.debug_mode) {
+                console.log(DEBUG_PREFIX, `No tracks for "${emotion}", falling back to "${step}"`);
+            }
+            return { matches, emotion: step };
+        }
+    }
+    
+    return { matches: [], emotion: null };
+}
+
+function getSmartPlaylistMatches(playlist, characterName) {
+    // An invalid expression matches nothing rather than everything
+    const { query, error } = getPlaylistFilter(playlist);
+    if (error) return [];
+    
+    const includeGlobal = playlist.include_global !== false;
+    let matches;
+    
+    if (playlist.emotion_mode === 'auto') {
+        return filterTracksByEmotionChain(query, currentEmotion, characterName, includeGlobal, playlist.require_scene).matches;
+    }
+    
+    if (playlist.emotion_mode === 'manual' && playlist.emotion_override) {
+        matches = filterTracksByTags(withRequiredTag(query, playlist.emotion_override), characterName, includeGlobal);
+    } else {
+        matches = filterTracksByTags(query, characterName, includeGlobal);
+    }
+    
+    return playlist.require_scene ? requireSceneContext(matches) : matches;
+}
+
+// Everything selectTrack could pick from right now, before shuffle or order is applied
+function getSelectionCandidates() {
+    const mode = extension_settings.audio.mode;
+    const context = getContext();
+    const characterName = context.name2;
+    
+    let candidates = [];
+    
+    if (mode === 'instrumental') {
+        const includeGlobal = extension_settings.audio.instrumental_include_global !== false;
+        const requireScene = extension_settings.audio.instrumental_require_scene;
+        
+        if (extension_settings.audio.emotion_detection) {
+            candidates = filterTracksByEmotionChain(['instrumental'], currentEmotion, characterName, includeGlobal, requireScene).matches;
+        } else {
+            candidates = filterTracksByTags(['instrumental'], characterName, includeGlobal);
+        }
+        
+        if (candidates.length === 0) {
+            candidates = filterTracksByTags(['instrumental'], characterName, includeGlobal);
+        }
+        
+        if (requireScene) {
+            candidates = requireSceneContext(candidates);
+        }
+        
+    } else if (mode === 'songs') {
+        const emotionFilter = extension_settings.audio.songs_emotion_filter;
+        const includeGlobal = extension_settings.audio.songs_include_global !== false;
+        
+        if (emotionFilter && emotionFilter !== 'all') {
+            candidates = filterTracksByEmotionChain([], emotionFilter, characterName, includeGlobal).matches;
+        } else {
+            // Get all songs based on include_global setting
+            if (includeGlobal) {
+                candidates = [...trackLibrary.global];
+                if (characterName && trackLibrary.character[characterName]) {
+                    candidates = [...trackLibrary.character[characterName], ...candidates];
+                }
+            } else {
+                // Only character tracks
+                if (characterName && trackLibrary.character[characterName]) {
+                    candidates = [...trackLibrary.character[characterName]];
+                } else {
+                    candidates = [];
+                }
+            }
+        }
+        
+    } else if (mode === 'playlist') {
+        const playlistName = extension_settings.audio.active_playlist;
+        const playlist = extension_settings.audio.playlists[playlistName];
+        
+        if (playlist) {
+            if (playlist.type === 'manual') {
+                candidates = playlist.tracks || [];
+            } else if (playlist.type === 'smart') {
+                candidates = getSmartPlaylistMatches(playlist, characterName);
+            }
+        }
+    }
+    
+    candidates = applySceneTags(candidates, characterName);
+    candidates = applyActiveTrigger(candidates, characterName);
+    candidates = applyActiveCue(candidates, characterName);
+    
+    return candidates.filter(path => isMusicCandidate(path, characterName));
+}
+
+function selectTrack() {
+    const candidates = getSelectionCandidates();
+    
+    if (candidates.length === 0) {
+        if (extension_settings.audio.debug_mode) {
+            console.log(DEBUG_PREFIX, 'No tracks match current criteria');
+        }
+        return null;
+    }
+    
+    return extension_settings.audio.shuffle ? pickShuffled(candidates) : pickInOrder(candidates);
+}
+
+/**
+ * Starts a track on the music channel. When something is already playing the
+ * new track comes in on the idle player and the two crossfade.
+ * @param {string} trackPath
+ * @param {'emotion'|'manual'|'natural'} transition - picks the crossfade duration
+ * @param {'back'|'forward'|null} historyStep - set when walking the playback history
+ */
+async function playTrack(trackPath, transition = 'manual', historyStep = null) {
+    if (!trackPath) return;
+    
+    const debugLog = (msg) => {
+        if (extension_settings.audio.debug_mode) {
+            console.log(DEBUG_PREFIX, msg);
+        }
+    };
+    
+    debugLog(`Playing track: ${trackPath}`);
+    
+    if (currentTrack && currentTrack !== trackPath) {
+        recordHistory(currentTrack, historyStep);
+    }
+    
+    const previousCurrentTrack = currentTrack;
+    currentTrack = trackPath;
+    notePlayed(trackPath);
+    isPaused = false;
+    trackEndHandled = false;
+    
+    const fadeDuration = getCrossfadeDuration(transition);
+    const outgoing = getBgmPlayer();
+    
+    if (previousCurrentTrack && !outgoing.paused && fadeDuration > 0) {
+        // Bring the new track in on the idle player while the old one fades out
+        activePlayerIndex = 1 - activePlayerIndex;
+        fadePlayer(outgoing, 0, fadeDuration).then(completed => {
+            if (completed) outgoing.pause();
+        });
+    } else {
+        getBgmPlayers().filter(player => player !== outgoing).forEach(player => {
+            cancelFade(player);
+            player.pause();
+        });
+    }
+    
+    const audio = getBgmPlayer();
+    cancelFade(audio);
+    playerFadeLevels.set(audio, fadeDuration > 0 ? 0 : 1);
+    
+    audio.src = encodeTrackPath(trackPath);
+    playerTracks.set(audio, trackPath);
+    stopLoopPlayback(audio);
+    
+    applyLoopMode(audio);
+    applyTrackGain(audio);
+    applyBgmVolume();
+    
+    const trimStart = getTrimPoints(trackPath).start;
+    if (trimStart > 0) {
+        audio.currentTime = trimStart;
+    }
+    
+    try {
+        await audio.play();
+        recordPlayStat(trackPath);
+        commitSequencePosition(trackPath);
+        fadePlayer(audio, 1, fadeDuration);
+        prepareLoopPlayback(audio, trackPath);
+        trackStartedInChat = true;
+        saveChatPosition();
+        updateNowPlaying();
+        updatePauseButton();
+        updateMiniplayerContent();
+        updateTrackList(); 
+    } catch (error) {
+        console.error(DEBUG_PREFIX, 'Error playing track:', error);
+        
+        const nextTrack = getNextTrack();
+        
+        if (nextTrack && nextTrack !== trackPath) {
+            setTimeout(() => playTrack(nextTrack, transition), 100);
+        } else {
+            audio.pause();
+            currentTrack = null;
+        }
+    }
+}
+
+function updateNowPlaying() {
+    if (!currentTrack) {
+        $('#now_playing').text('Nothing playing');
+        return;
+    }
+    
+    const metadata = trackLibrary.metadata[currentTrack] || {};
+    const filename = currentTrack.split('/').pop();
+    $('#now_playing').text(metadata.title || filename);
+}
+
+function updateProgressBar() {
+    if (isSeeking) return; // Don't update while user is seeking
+    
+    const audio = getBgmPlayer();
+    
+    if (!audio || !audio.duration) {
+        $('#audio_progress').val(0);
+        $('#audio_current_time').text('0:00');
+        $('#audio_duration').text('0:00');
+        return;
+    }
+    
+    const progress = getPlaybackProgress(audio);
+    $('#audio_progress').val(progress.percent);
+    
+    $('#audio_current_time').text(formatTime(progress.elapsed));
+    $('#audio_duration').text(formatTime(progress.length));
+}
+
+function formatTime(seconds) {
+    if (!isFinite(seconds)) return '0:00';
+    
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+function normalizeEmotion(label) {
+    if (!label) return null;
+    
+    const name = String(label).toLowerCase().trim();
+    
+    // User mappings win so a sprite pack can repurpose any name
+    const mapped = extension_settings.audio.emotion_mappings[name];
+    if (mapped && isEmotionTag(mapped)) {
+        return mapped;
+    }
+    
+    if (isEmotionTag(name)) {
+        return name;
+    }
+    
+    return EMOTION_ALIASES[name] || null;
+}
+
+function detectSpriteEmotion() {
+    const spriteImg = $('#expression-image').attr('src');
+    if (!spriteImg) {
+        return null;
+    }
+    
+    const expressionName = spriteImg.split('/').pop().replace(/\.[^.]+$/, '');
+    return normalizeEmotion(expressionName);
+}
+
+function getLastCharacterMessage() {
+    const chat = getContext().chat || [];
+    
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message.is_user && !message.is_system && message.mes) {
+            return { id: i, text: message.mes };
+        }
+    }
+    
+    return null;
+}
+
+async function fetchClassification(text) {
+    // Extras classify module when it's connected, otherwise the built-in classifier
+    if (modules.includes('classify')) {
+        const url = new URL(getApiUrl());
+        url.pathname = '/api/classify';
+        
+        const response = await doExtrasFetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Bypass-Tunnel-Reminder': 'bypass',
+            },
+            body: JSON.stringify({ text }),
+        });
+        if (!response.ok) throw new Error(`Extras classify failed: ${response.status}`);
+        return (await response.json()).classification || [];
+    }
+    
+    const response = await fetch('/api/extra/classify', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ text }),
+    });
+    if (!response.ok) throw new Error(`Classify failed: ${response.status}`);
+    return (await response.json()).classification || [];
+}
+
+// Identifies a message's current text, so an edit or swipe counts as a new message
+function getClassifyKey(message) {
+    return message ? `${getContext().chatId}:${message.id}:${message.text}` : null;
+}
+
+// Classifies the latest character message; called when messages arrive, change or the chat switches
+async function updateClassifiedEmotion() {
+    if (!extension_settings.audio.enabled || !extension_settings.audio.emotion_detection) return;
+    if (!usesEmotionSource('classify') || classifyPending) return;
+    
+    const message = getLastCharacterMessage();
+    if (!message) {
+        classifiedEmotion = null;
+        classifiedMessageKey = null;
+        return;
+    }
+    
+    const key = getClassifyKey(message);
+    if (key === classifiedMessageKey) return;
+    
+    classifyPending = true;
+    try {
+        const labels = await fetchClassification(message.text.slice(-CLASSIFY_TEXT_LIMIT));
+        
+        // Highest-scoring label that maps onto a known emotion
+        const sorted = [...labels].sort((a, b) => (b.score || 0) - (a.score || 0));
+        classifiedEmotion = sorted.map(l => normalizeEmotion(l.label)).find(Boolean) || 'neutral';
+        
+        if (extension_settings.audio.debug_mode) {
+            console.log(DEBUG_PREFIX, `Classified message #${message.id} as: ${classifiedEmotion}`);
+        }
+    } catch (error) {
+        console.error(DEBUG_PREFIX, 'Error classifying message:', error);
+        classifiedEmotion = null;
+    } finally {
+        // Failed messages aren't retried every tick
+        classifiedMessageKey = key;
+        classifyPending = false;
+    }
+    
+    // A message that arrived during the request was skipped, so catch up with it now
+    if (getClassifyKey(getLastCharacterMessage()) !== key) {
+        updateClassifiedEmotion();
+    }
+}
+
+function getEmotionSourceOrder() {
+    const orders = {
+        sprite: ['sprite'],
+        classify: ['classify'],
+        sprite_first: ['sprite', 'classify'],
+        classify_first: ['classify', 'sprite'],
+    };
+    return orders[extension_settings.audio.emotion_source] || orders.sprite;
+}
+
+function usesEmotionSource(source) {
+    return getEmotionSourceOrder().includes(source);
+}
+
+function detectEmotion() {
+    const readers = {
+        sprite: detectSpriteEmotion,
+        classify: () => classifiedEmotion,
+    };
+    
+    // First source with a usable reading wins
+    for (const source of getEmotionSourceOrder()) {
+        const emotion = readers[source]();
+        if (emotion) {
+            return emotion;
+        }
+    }
+    
+    return 'neutral';
+}
+
+// ============================================
+// PLAY QUEUE
+// ============================================
+
+function enqueueTrack(path, playNext = false) {
+    if (!path || isAmbientTrack(path)) return false;
+    
+    if (playNext) {
+        playQueue.unshift(path);
+    } else {
+        playQueue.push(path);
+    }
+    
+    updateQueueUI();
+    return true;
+}
+
+function removeQueuedTrack(index) {
+    playQueue.splice(index, 1);
+    updateQueueUI();
+}
+
+function moveQueuedTrack(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= playQueue.length) return;
+    
+    [playQueue[index], playQueue[target]] = [playQueue[target], playQueue[index]];
+    updateQueueUI();
+}
+
+function clearQueue() {
+    playQueue = [];
+    updateQueueUI();
+}
+
+/**
+ * Next track to play when one ends or is skipped: the head of the queue,
+ * otherwise whatever selectTrack picks.
+ */
+function getNextTrack() {
+    if (playQueue.length > 0) {
+        const track = playQueue.shift();
+        updateQueueUI();
+        return track;
+    }
+    
+    return selectTrack();
+}
+
+// Queued tracks hold off emotion-driven switches unless the user lets emotion bypass them
+function isQueueHolding() {
+    return extension_settings.audio.emotion_respects_queue && playQueue.length > 0;
+}
+
+function updateQueueUI() {
+    const list = $('#queue_list');
+    list.empty();
+    
+    if (playQueue.length === 0) {
+        list.append('<div style="font-size: 0.85em; opacity: 0.6;">Queue is empty</div>');
+        return;
+    }
+    
+    playQueue.forEach((path, index) => {
+        const item = $(`
+            <div class="queue-item" style="display: flex; align-items: center; gap: 0.5em; padding: 0.25em 0;">
+                <span style="opacity: 0.7; min-width: 1.5em;">${index + 1}.</span>
+                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${getTrackTitle(path)}</span>
+                <button class="menu_button menu_button_icon move-queued-up" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-up"></i>
+                </button>
+                <button class="menu_button menu_button_icon move-queued-down" title="Move down" ${index === playQueue.length - 1 ? 'disabled' : ''}>
+                    <i class="fa-solid fa-chevron-down"></i>
+                </button>
+                <button class="menu_button menu_button_icon remove-queued" title="Remove from queue">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+        `);
+        item.find('.move-queued-up').on('click', () => moveQueuedTrack(index, -1));
+        item.find('.move-queued-down').on('click', () => moveQueuedTrack(index, 1));
+        item.find('.remove-queued').on('click', () => removeQueuedTrack(index));
+        list.append(item);
+    });
+}
+
+// /d-audio queue add|next|clear|list [track]
+function handleQueueCommand(subcommand, query) {
+    switch (subcommand) {
+        case 'add':
+        case 'next': {
+            if (!query) return `Usage: /d-audio queue ${subcommand} "track"`;
+            
+            const track = findTrackByQuery(query);
+            if (!track) return `Track not found: ${query}`;
+            if (!enqueueTrack(track, subcommand === 'next')) return `Ambient loops can't be queued: ${getTrackTitle(track)}`;
+            
+            return subcommand === 'next'
+                ? `Playing "${getTrackTitle(track)}" next`
+                : `Added "${getTrackTitle(track)}" to the queue (position ${playQueue.length})`;
+        }
+        
+        case 'clear':
+            clearQueue();
+            return 'Queue cleared';
+            
+        case '':
+        case 'list':
+            return playQueue.map((path, index) => `${index + 1}. ${getTrackTitle(path)}`).join('\n') || 'Queue is empty';
+            
+        default:
+            return `Unknown queue command: ${subcommand} (use add, next, clear or list)`;
+    }
+}
+
+// ============================================
+// PLAYBACK HISTORY
+// ============================================
+
+/**
+ * Moves the outgoing track onto the right history stack. A fresh pick drops
+ * the forward history, the same way a browser does after navigating.
+ */
+function recordHistory(outgoingTrack, historyStep) {
+    if (historyStep === 'back') {
+        playHistory.pop();
+        forwardHistory.push(outgoingTrack);
+    } else if (historyStep === 'forward') {
+        forwardHistory.pop();
+        playHistory.push(outgoingTrack);
+    } else {
+        playHistory.push(outgoingTrack);
+        forwardHistory = [];
+    }
+    
+    if (playHistory.length > HISTORY_LIMIT) {
+        playHistory = playHistory.slice(-HISTORY_LIMIT);
+    }
+    
+    updateHistoryUI();
+}
+
+// playTrack doesn't record a track replacing itself, so an entry for the current track would never be popped
+function dropCurrentFromTop(stack) {
+    let dropped = false;
+    while (stack.length > 0 && stack[stack.length - 1] === currentTrack) {
+        stack.pop();
+        dropped = true;
+    }
+    if (dropped) updateHistoryUI();
+}
+
+function stepBack() {
+    dropCurrentFromTop(playHistory);
+    if (playHistory.length === 0) return false;
+    
+    playTrack(playHistory[playHistory.length - 1], 'manual', 'back');
+    return true;
+}
+
+// Queued tracks come first; playing one starts a new branch, which clears the forward history
+function stepForward(transition = 'manual') {
+    if (playQueue.length > 0) return false;
+    
+    dropCurrentFromTop(forwardHistory);
+    if (forwardHistory.length === 0) return false;
+    
+    playTrack(forwardHistory[forwardHistory.length - 1], transition, 'forward');
+    return true;
+}
+
+function updateHistoryUI() {
+    const list = $('#history_list');
+    list.empty();
+    
+    if (playHistory.length === 0 && forwardHistory.length === 0) {
+        list.append('<div style="font-size: 0.85em; opacity: 0.6;">Nothing played yet</div>');
+        return;
+    }
+    
+    // Newest at the top: tracks Skip would return to, then the ones Previous would play
+    const entries = [
+        ...forwardHistory.map(path => ({ path, forward: true })),
+        ...[...playHistory].reverse().map(path => ({ path, forward: false })),
+    ];
+    
+    entries.forEach(({ path, forward }) => {
+        const item = $(`
+            <div class="history-item" style="display: flex; align-items: center; gap: 0.5em; padding: 0.25em 0; cursor: pointer; ${forward ? 'opacity: 0.6;' : ''}">
+                <i class="fa-solid ${forward ? 'fa-forward' : 'fa-clock-rotate-left'}" style="opacity: 0.7;"></i>
+                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${getTrackTitle(path)}</span>
+            </div>
+        `);
+        item.on('click', () => playTrack(path));
+        list.append(item);
+    });
+}
+
+function describeHistory() {
+    const lines = [];
+    
+    if (forwardHistory.length > 0) {
+        lines.push(`Forward: ${[...forwardHistory].reverse().map(getTrackTitle).join(', ')}`);
+    }
+    if (currentTrack) {
+        lines.push(`Now: ${getTrackTitle(currentTrack)}`);
+    }
+    [...playHistory].reverse().forEach((path, index) => {
+        lines.push(`${index + 1}. ${getTrackTitle(path)}`);
+    });
+    
+    return lines.join('\n') || 'Nothing played yet';
+}
+
+// ============================================
+// PLAYBACK STATISTICS
+// ============================================
+
+function getTrackStats(path) {
+    const stats = extension_settings.audio.track_stats;
+    if (!stats[path]) {
+        stats[path] = { plays: 0, listen_seconds: 0, skips: 0, last_played: null, triggers: {} };
+    }
+    return stats[path];
+}
+
+// Each play remembers the character and emotion that were active when it started
+function recordPlayStat(path) {
+    const stats = getTrackStats(path);
+    const character = getContext().name2 || 'No character';
+    const emotion = extension_settings.audio.emotion_detection ? currentEmotion : 'none';
+    
+    stats.plays++;
+    stats.last_played = Date.now();
+    stats.triggers[character] = stats.triggers[character] || {};
+    stats.triggers[character][emotion] = (stats.triggers[character][emotion] || 0) + 1;
+    saveSettingsDebounced();
+}
+
+function recordSkipStat(path) {
+    getTrackStats(path).skips++;
+    saveSettingsDebounced();
+}
+
+// Called once per module worker tick while music is audible
+function accrueListenTime() {
+    if (!currentTrack || isPaused || getBgmPlayer().paused) return;
+    
+    getTrackStats(currentTrack).listen_seconds += UPDATE_INTERVAL / 1000;
+    
+    if (Date.now() - statsSavedAt >= STATS_SAVE_INTERVAL) {
+        statsSavedAt = Date.now();
+        saveSettingsDebounced();
+    }
+}
+
+function formatListenTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    
+    if (hours > 0) return `${hours}h ${mins}m`;
+    if (mins > 0) return `${mins}m ${Math.floor(seconds % 60)}s`;
+    return `${Math.floor(seconds)}s`;
+}
+
+function getLibraryTracks() {
+    return [
+        ...trackLibrary.global,
+        ...Object.values(trackLibrary.character).flat()
+    ].filter(path => !isAmbientTrack(path));
+}
+
+/**
+ * Character -> emotion -> [{ path, plays }] sorted by plays, built from the
+ * trigger counts recorded with each play.
+ */
+function getEmotionUsage() {
+    const usage = {};
+    
+    Object.entries(extension_settings.audio.track_stats).forEach(([path, stats]) => {
+        Object.entries(stats.triggers).forEach(([character, emotions]) => {
+            usage[character] = usage[character] || {};
+            Object.entries(emotions).forEach(([emotion, plays]) => {
+                usage[character][emotion] = usage[character][emotion] || [];
+                usage[character][emotion].push({ path, plays });
+            });
+        });
+    });
+    
+    Object.values(usage).forEach(emotions => {
+        Object.values(emotions).forEach(tracks => tracks.sort((a, b) => b.plays - a.plays));
+    });
+    
+    return usage;
+}
+
+function renderStatsList(title, entries, describe) {
+    const rows = entries.length > 0
+        ? entries.map(entry => `
+            <div style="display: flex; gap: 0.5em; padding: 0.2em 0;">
+                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${getTrackTitle(entry.path)}</span>
+                <span style="opacity: 0.7; white-space: nowrap;">${describe(entry)}</span>
+            </div>
+        `).join('')
+        : '<div style="opacity: 0.6;">Nothing yet</div>';
+    
+    return `
+        <div style="margin-bottom: 1em;">
+            <h4 style="margin: 0 0 0.3em 0;">${title}</h4>
+            <div style="font-size: 0.85em;">${rows}</div>
+        </div>
+    `;
+}
+
+function renderStatsDashboard() {
+    const allStats = extension_settings.audio.track_stats;
+    const entries = Object.entries(allStats)
+        .map(([path, stats]) => ({ path, ...stats }));
+    
+    const mostPlayed = entries
+        .filter(entry => entry.plays > 0)
+        .sort((a, b) => b.plays - a.plays || b.listen_seconds - a.listen_seconds)
+        .slice(0, STATS_LIST_LIMIT);
+    const mostSkipped = entries
+        .filter(entry => entry.skips > 0)
+        .sort((a, b) => b.skips - a.skips)
+        .slice(0, STATS_LIST_LIMIT);
+    const neverPlayed = getLibraryTracks()
+        .filter(path => !allStats[path] || allStats[path].plays === 0)
+        .map(path => ({ path }));
+    
+    const totalSeconds = entries.reduce((sum, entry) => sum + entry.listen_seconds, 0);
+    const totalPlays = entries.reduce((sum, entry) => sum + entry.plays, 0);
+    
+    const usage = getEmotionUsage();
+    const usageHtml = Object.keys(usage).length > 0
+        ? Object.entries(usage).map(([character, emotions]) => `
+            <div style="margin-bottom: 0.5em;">
+                <strong>${character}</strong>
+                ${Object.entries(emotions).map(([emotion, tracks]) => `
+                    <div style="padding-left: 1em;">
+                        <span style="opacity: 0.7;">${emotion}:</span>
+                        ${tracks.slice(0, 3).map(track => `${getTrackTitle(track.path)} (${track.plays})`).join(', ')}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('')
+        : '<div style="opacity: 0.6;">Nothing yet</div>';
+    
+    return `
+        <div style="margin-bottom: 1em; opacity: 0.8;">${totalPlays} plays, ${formatListenTime(totalSeconds)} listened</div>
+        ${renderStatsList('Most Played', mostPlayed, entry => `${entry.plays} plays • ${formatListenTime(entry.listen_seconds)}`)}
+        ${renderStatsList('Most Skipped', mostSkipped, entry => `${entry.skips} skips`)}
+        ${renderStatsList(`Never Played (${neverPlayed.length})`, neverPlayed, () => '')}
+        <div style="margin-bottom: 1em;">
+            <h4 style="margin: 0 0 0.3em 0;">Emotion Usage by Character</h4>
+            <div style="font-size: 0.85em;">${usageHtml}</div>
+        </div>
+    `;
+}
+
+function openStatsDashboard() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const dashboard = $(`
+        <div class="stats-dashboard-modal">
+            <h3 style="margin-top: 0;">Listening Stats</h3>
+            <div id="stats_content"></div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="export_stats" style="flex: 1;">
+                    <i class="fa-solid fa-file-export"></i> Export
+                </button>
+                <button class="menu_button" id="reset_stats" style="flex: 1;">
+                    <i class="fa-solid fa-trash"></i> Reset
+                </button>
+                <button class="menu_button" id="close_stats" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Close
+                </button>
+            </div>
+        </div>
+    `);
+    
+    dashboard.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '600px',
+        'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(dashboard);
+    $('body').append(backdrop);
+    
+    $('#stats_content').html(renderStatsDashboard());
+    
+    $('#export_stats').on('click', () => {
+        downloadJson('dynamic-audio-stats.json', extension_settings.audio.track_stats);
+    });
+    
+    $('#reset_stats').on('click', () => {
+        if (!confirm('Reset all listening stats? This cannot be undone.')) return;
+        
+        extension_settings.audio.track_stats = {};
+        saveSettingsDebounced();
+        $('#stats_content').html(renderStatsDashboard());
+    });
+    
+    $('#close_stats').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    dashboard.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// EMOTION SMOOTHING
+// ============================================
+
+// Transient emotions are left out of the window, so they can't break a run or dilute a share
+function pushEmotionReading(emotion) {
+    lastRawEmotion = emotion;
+    if (isTransientEmotion(emotion)) return;
+    emotionReadings.push(emotion);
+    
+    const windowSize = Math.max(1, parseInt(extension_settings.audio.emotion_window) || 1);
+    if (emotionReadings.length > windowSize) {
+        emotionReadings = emotionReadings.slice(-windowSize);
+    }
+}
+
+/**
+ * Takes at most one reading per character message, once the sprite or
+ * classifier has had time to settle. Changes without a new message
+ * (a manually set sprite, a switched source) are read immediately.
+ */
+function takeEmotionReading() {
+    const raw = detectEmotion();
+    const message = getLastCharacterMessage();
+    const messageKey = message ? `${getContext().chatId}:${message.id}:${message.text.length}` : null;
+    const now = Date.now();
+    
+    if (messageKey !== lastReadingMessageKey) {
+        lastReadingMessageKey = messageKey;
+        readingDueAt = now + EMOTION_SETTLE_MS;
+        return;
+    }
+    
+    if (readingDueAt) {
+        if (now >= readingDueAt && !classifyPending) {
+            readingDueAt = 0;
+            pushEmotionReading(raw);
+        }
+    } else if (raw !== lastRawEmotion) {
+        pushEmotionReading(raw);
+    }
+}
+
+function isTransientEmotion(emotion) {
+    return extension_settings.audio.emotion_ignore_transient
+        && extension_settings.audio.emotion_transient.includes(emotion);
+}
+
+function getEmotionShare(emotion) {
+    if (emotionReadings.length === 0) return 1;
+    return emotionReadings.filter(e => e === emotion).length / emotionReadings.length;
+}
+
+/**
+ * Returns the emotion that should drive the music. Depending on the smoothing
+ * mode a reading only counts after enough consecutive readings or once it
+ * dominates the window; transient emotions can be ignored altogether, both
+ * as readings and as the result.
+ */
+function updateSmoothedEmotion() {
+    const mode = extension_settings.audio.emotion_smoothing;
+    let candidate = currentEmotion;
+    
+    // Readings are still taken with smoothing off, so confidence reflects messages rather than ticks
+    takeEmotionReading();
+    
+    if (mode === 'off') {
+        // Follow the raw detection on every tick, as without smoothing
+        candidate = detectEmotion();
+    } else {
+        const latest = emotionReadings[emotionReadings.length - 1];
+        
+        if (mode === 'consecutive' && latest) {
+            let run = 0;
+            for (let i = emotionReadings.length - 1; i >= 0 && emotionReadings[i] === latest; i--) {
+                run++;
+            }
+            if (run >= Math.max(1, parseInt(extension_settings.audio.emotion_min_consecutive) || 1)) {
+                candidate = latest;
+            }
+        } else if (mode === 'dominance' && latest) {
+            const threshold = (Number(extension_settings.audio.emotion_dominance) || 0) / 100;
+            const ranked = [...new Set(emotionReadings)]
+                .sort((a, b) => getEmotionShare(b) - getEmotionShare(a));
+            if (ranked.length > 0 && getEmotionShare(ranked[0]) >= threshold) {
+                candidate = ranked[0];
+            }
+        }
+    }
+    
+    if (isTransientEmotion(candidate)) {
+        candidate = currentEmotion;
+    }
+    
+    emotionConfidence = getEmotionShare(candidate);
+    return candidate;
+}
+
+function updateSmoothingUI() {
+    const mode = extension_settings.audio.emotion_smoothing;
+    $('#audio_emotion_consecutive_row').toggle(mode === 'consecutive');
+    $('#audio_emotion_dominance_row').toggle(mode === 'dominance');
+    $('#audio_emotion_window_row').toggle(mode !== 'off');
+}
+
+// ============================================
+// EMOTION FALLBACKS
+// ============================================
+
+function formatFallbackGraph(graph) {
+    return Object.entries(graph)
+        .map(([emotion, chain]) => [emotion, ...chain].join(' > '))
+        .join('\n');
+}
+
+// Parses "grief > sadness > remorse" lines into { grief: ['sadness', 'remorse'] }
+function parseFallbackGraph(text) {
+    const graph = {};
+    const errors = [];
+    
+    text.split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        
+        const steps = trimmed.split(/>|→/).map(step => step.trim().toLowerCase()).filter(Boolean);
+        if (steps.length < 2) {
+            errors.push(`Line ${index + 1}: needs at least one fallback ("emotion > fallback")`);
+            return;
+        }
+        
+        const [emotion, ...chain] = steps;
+        graph[emotion] = chain;
+    });
+    
+    return { graph, errors };
+}
+
+function openFallbackEditor() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const editor = $(`
+        <div class="fallback-editor-modal">
+            <h3 style="margin-top: 0;">Emotion Fallbacks</h3>
+            <p style="opacity: 0.8; margin-bottom: 1em; font-size: 0.9em;">
+                One chain per line. When no track carries the first emotion, the others are tried in order.
+            </p>
+            
+            <textarea id="fallback_graph" class="text_pole" rows="14" style="width: 100%; font-family: monospace; font-size: 0.85em;" placeholder="grief > sadness > remorse > neutral"></textarea>
+            <div id="fallback_errors" style="color: #ff6b6b; font-size: 0.85em; margin-top: 0.3em;"></div>
+            
+            <div style="margin-top: 0.5em;">
+                <label for="fallback_test_emotion" style="font-size: 0.9em;">Test chain for:</label>
+                <select id="fallback_test_emotion" class="text_pole" style="width: auto; display: inline-block;">
+                    ${getEmotionTags().map(tag => `<option value="${tag}">${tag}</option>`).join('')}
+                </select>
+                <div id="fallback_test_result" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.3em;"></div>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="save_fallbacks" style="flex: 1;">
+                    <i class="fa-solid fa-save"></i> Save
+                </button>
+                <button class="menu_button" id="reset_fallbacks" style="flex: 1;">
+                    <i class="fa-solid fa-rotate-left"></i> Reset to Defaults
+                </button>
+                <button class="menu_button" id="cancel_fallbacks" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+            </div>
+        </div>
+    `);
+    
+    editor.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '600px',
+        'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(editor);
+    $('body').append(backdrop);
+    
+    $('#fallback_graph').val(formatFallbackGraph(getEmotionFallbackGraph()));
+    
+    // Show the chain the entered graph would produce, without saving it
+    function updateFallbackTest() {
+        const { graph, errors } = parseFallbackGraph($('#fallback_graph').val());
+        $('#fallback_errors').html(errors.join('<br>'));
+        
+        const emotion = $('#fallback_test_emotion').val();
+        const saved = extension_settings.audio.emotion_fallbacks;
+        extension_settings.audio.emotion_fallbacks = graph;
+        const chain = getEmotionFallbackChain(emotion);
+        extension_settings.audio.emotion_fallbacks = saved;
+        
+        $('#fallback_test_result').text(chain.join(' → '));
+    }
+    
+    $('#fallback_graph').on('input', updateFallbackTest);
+    $('#fallback_test_emotion').on('change', updateFallbackTest);
+    updateFallbackTest();
+    
+    $('#save_fallbacks').on('click', () => {
+        const { graph, errors } = parseFallbackGraph($('#fallback_graph').val());
+        if (errors.length > 0) {
+            alert('Please fix the errors before saving');
+            return;
+        }
+        
+        // Saving the defaults unchanged goes back to following them
+        const isDefault = formatFallbackGraph(graph) === formatFallbackGraph(EMOTION_FALLBACKS);
+        extension_settings.audio.emotion_fallbacks = isDefault ? null : graph;
+        saveSettingsDebounced();
+        backdrop.remove();
+    });
+    
+    $('#reset_fallbacks').on('click', () => {
+        $('#fallback_graph').val(formatFallbackGraph(EMOTION_FALLBACKS));
+        updateFallbackTest();
+    });
+    
+    $('#cancel_fallbacks').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    editor.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// EMOTION VOCABULARY
+// ============================================
+
+function getEmotionTags() {
+    const custom = extension_settings.audio.custom_emotions.filter(tag => !EMOTION_TAGS.includes(tag));
+    return [...EMOTION_TAGS, ...custom];
+}
+
+function isEmotionTag(tag) {
+    return getEmotionTags().includes(tag);
+}
+
+function updateEmotionFilterOptions() {
+    const select = $('#audio_songs_emotion_filter');
+    const options = getEmotionTags().map(tag =>
+        `<option value="${tag}">${tag.charAt(0).toUpperCase() + tag.slice(1)}</option>`
+    ).join('');
+    select.html(`<option value="all">All Songs</option>${options}`);
+    
+    // A removed custom emotion can't stay selected
+    if (extension_settings.audio.songs_emotion_filter !== 'all' && !isEmotionTag(extension_settings.audio.songs_emotion_filter)) {
+        extension_settings.audio.songs_emotion_filter = 'all';
+    }
+    select.val(extension_settings.audio.songs_emotion_filter);
+}
+
+function formatEmotionMappings(mappings) {
+    return Object.entries(mappings)
+        .map(([name, emotion]) => `${name} = ${emotion}`)
+        .join('\n');
+}
+
+/**
+ * Parses the editor fields into a vocabulary. Mapping targets must be a
+ * built-in emotion or one of the custom emotions being saved alongside them.
+ */
+function parseEmotionVocabulary(emotionsText, mappingsText) {
+    const errors = [];
+    const customEmotions = [...new Set(parseTagList(emotionsText).map(tag => tag.toLowerCase()))]
+        .filter(tag => !EMOTION_TAGS.includes(tag));
+    const known = [...EMOTION_TAGS, ...customEmotions];
+    
+    customEmotions.forEach(tag => {
+        if (tag === 'all' || tag === 'instrumental' || tag === AMBIENT_TAG) {
+            errors.push(`"${tag}" is reserved and can't be used as an emotion`);
+        }
+    });
+    
+    const mappings = {};
+    mappingsText.split('\n').forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        
+        const [name, emotion] = trimmed.split('=').map(part => part.trim().toLowerCase());
+        if (!name || !emotion) {
+            errors.push(`Line ${index + 1}: use "sprite name = emotion"`);
+            return;
+        }
+        if (!known.includes(emotion)) {
+            errors.push(`Line ${index + 1}: unknown emotion "${emotion}"`);
+            return;
+        }
+        
+        mappings[name] = emotion;
+    });
+    
+    return { customEmotions, mappings, errors };
+}
+
+function exportEmotionVocabulary(customEmotions, mappings) {
+    downloadJson('emotion-vocabulary.json', { custom_emotions: customEmotions, emotion_mappings: mappings });
+}
+
+async function readEmotionVocabularyFile(file) {
+    const data = JSON.parse(await file.text());
+    
+    if (!Array.isArray(data.custom_emotions) || typeof data.emotion_mappings !== 'object' || data.emotion_mappings === null) {
+        throw new Error('Expected "custom_emotions" and "emotion_mappings"');
+    }
+    
+    return { customEmotions: data.custom_emotions.map(String), mappings: data.emotion_mappings };
+}
+
+function openVocabularyEditor() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const editor = $(`
+        <div class="vocabulary-editor-modal">
+            <h3 style="margin-top: 0;">Emotion Vocabulary</h3>
+            <p style="opacity: 0.8; margin-bottom: 1em; font-size: 0.9em;">
+                Add your own emotion tags and map sprite or expression names to them.
+            </p>
+            
+            <div style="margin-bottom: 1em;">
+                <label for="vocabulary_emotions" style="display: block; margin-bottom: 0.3em;">Custom emotions (comma-separated)</label>
+                <input type="text" class="text_pole" id="vocabulary_emotions" placeholder="e.g. smug, flustered, battle" style="width: 100%;">
+            </div>
+            
+            <div style="margin-bottom: 1em;">
+                <label for="vocabulary_mappings" style="display: block; margin-bottom: 0.3em;">Sprite names (one per line)</label>
+                <textarea id="vocabulary_mappings" class="text_pole" rows="10" style="width: 100%; font-family: monospace; font-size: 0.85em;" placeholder="smug = pride&#10;flustered = embarrassment&#10;battle_ready = battle"></textarea>
+                <div id="vocabulary_errors" style="color: #ff6b6b; font-size: 0.85em; margin-top: 0.3em;"></div>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em;">
+                <button class="menu_button" id="import_vocabulary" style="flex: 1;">
+                    <i class="fa-solid fa-file-import"></i> Import
+                </button>
+                <button class="menu_button" id="export_vocabulary" style="flex: 1;">
+                    <i class="fa-solid fa-file-export"></i> Export
+                </button>
+                <input type="file" id="vocabulary_file" accept=".json,application/json" style="display: none;">
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 0.5em;">
+                <button class="menu_button" id="save_vocabulary" style="flex: 1;">
+                    <i class="fa-solid fa-save"></i> Save
+                </button>
+                <button class="menu_button" id="cancel_vocabulary" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+            </div>
+        </div>
+    `);
+    
+    editor.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '600px',
+        'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(editor);
+    $('body').append(backdrop);
+    
+    function fillVocabulary(customEmotions, mappings) {
+        $('#vocabulary_emotions').val(customEmotions.join(', '));
+        $('#vocabulary_mappings').val(formatEmotionMappings(mappings));
+        updateVocabularyErrors();
+    }
+    
+    function readVocabulary() {
+        return parseEmotionVocabulary($('#vocabulary_emotions').val(), $('#vocabulary_mappings').val());
+    }
+    
+    function updateVocabularyErrors() {
+        $('#vocabulary_errors').html(readVocabulary().errors.join('<br>'));
+    }
+    
+    $('#vocabulary_emotions, #vocabulary_mappings').on('input', updateVocabularyErrors);
+    fillVocabulary(extension_settings.audio.custom_emotions, extension_settings.audio.emotion_mappings);
+    
+    $('#import_vocabulary').on('click', () => $('#vocabulary_file').trigger('click'));
+    
+    // Imported vocabulary only fills the editor; nothing is stored until Save
+    $('#vocabulary_file').on('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            const { customEmotions, mappings } = await readEmotionVocabularyFile(file);
+            fillVocabulary(customEmotions, mappings);
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to import emotion vocabulary:', error);
+            alert(`Could not import vocabulary: ${error.message}`);
+        }
+    });
+    
+    $('#export_vocabulary').on('click', () => {
+        const { customEmotions, mappings, errors } = readVocabulary();
+        if (errors.length > 0) {
+            alert('Please fix the errors before exporting');
+            return;
+        }
+        exportEmotionVocabulary(customEmotions, mappings);
+    });
+    
+    $('#save_vocabulary').on('click', () => {
+        const { customEmotions, mappings, errors } = readVocabulary();
+        if (errors.length > 0) {
+            alert('Please fix the errors before saving');
+            return;
+        }
+        
+        extension_settings.audio.custom_emotions = customEmotions;
+        extension_settings.audio.emotion_mappings = mappings;
+        saveSettingsDebounced();
+        
+        updateEmotionFilterOptions();
+        updateTrackList();
+        backdrop.remove();
+    });
+    
+    $('#cancel_vocabulary').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    editor.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// CHAT TRIGGERS
+// ============================================
+
+function createTriggerRule() {
+    return {
+        id: `trigger_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: '',
+        pattern: '',
+        regex: false,
+        scope: 'both', // 'user', 'character' or 'both'
+        target: 'tags', // 'tags' or 'playlist'
+        tags: '',
+        playlist: '',
+        effect: 'override', // 'override' replaces the pool, 'augment' narrows it
+        priority: 0,
+        cooldown: 60,
+        enabled: true,
+    };
+}
+
+/**
+ * Keyword patterns are "|"-separated phrases matched as whole words; regex
+ * patterns are used as written. Both ignore case.
+ * @returns {{regex: RegExp|null, error: string|null}}
+ */
+function compileTriggerPattern(rule) {
+    const pattern = (rule.pattern || '').trim();
+    if (!pattern) {
+        return { regex: null, error: 'The pattern is empty' };
+    }
+    
+    try {
+        if (rule.regex) {
+            return { regex: new RegExp(pattern, 'i'), error: null };
+        }
+        
+        const phrases = pattern.split('|').map(phrase => phrase.trim()).filter(Boolean)
+            .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+        // Lookarounds instead of \b so accented letters count as part of a word
+        return { regex: new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.join('|')})(?![\\p{L}\\p{N}])`, 'iu'), error: null };
+    } catch (error) {
+        return { regex: null, error: error.message };
+    }
+}
+
+function validateTriggerRule(rule) {
+    const { error } = compileTriggerPattern(rule);
+    if (error) return error;
+    
+    if (rule.target === 'playlist') {
+        return rule.playlist ? null : 'Choose a playlist';
+    }
+    if (!rule.tags.trim()) {
+        return 'Enter the tags to play';
+    }
+    return parseTagQuery(rule.tags).error;
+}
+
+// Latest user message, latest character message and newest of the two, keyed by scope
+function getTriggerMessages() {
+    const chat = getContext().chat || [];
+    const messages = { user: null, character: null, both: null };
+    
+    for (let i = chat.length - 1; i >= 0 && !(messages.user && messages.character); i--) {
+        const message = chat[i];
+        if (message.is_system || !message.mes) continue;
+        
+        const scope = message.is_user ? 'user' : 'character';
+        if (!messages[scope]) {
+            messages[scope] = message.mes;
+            messages.both = messages.both ?? message.mes;
+        }
+    }
+    
+    return messages;
+}
+
+// Enabled rules whose pattern matches the message for their scope, highest priority first
+function findTriggerMatches(rules, messages) {
+    return rules
+        .filter(rule => {
+            const text = messages[rule.scope];
+            const { regex } = compileTriggerPattern(rule);
+            return rule.enabled && text && regex && regex.test(text);
+        })
+        .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0));
+}
+
+function getActiveTrigger() {
+    if (!activeTriggerId || !extension_settings.audio.triggers_enabled) return null;
+    return extension_settings.audio.trigger_rules.find(rule => rule.id === activeTriggerId) || null;
+}
+
+function isTriggerCoolingDown(rule) {
+    const firedAt = triggerFiredAt.get(rule.id);
+    return firedAt !== undefined && Date.now() - firedAt < (Number(rule.cooldown) || 0) * 1000;
+}
+
+/**
+ * Re-checks the rules against the latest messages. A rule that is already
+ * active stays active; a new one only fires when it isn't cooling down.
+ * @param {boolean} switchMusic - false on chat load, so opening a chat doesn't jump tracks
+ */
+function evaluateTriggers(switchMusic = true) {
+    if (!extension_settings.audio.triggers_enabled) {
+        activeTriggerId = null;
+        return;
+    }
+    // A switch requested while off would fire the moment the extension is turned back on
+    if (!extension_settings.audio.enabled) return;
+    
+    const matches = findTriggerMatches(extension_settings.audio.trigger_rules, getTriggerMessages());
+    const rule = matches.find(match => match.id === activeTriggerId || !isTriggerCoolingDown(match));
+    const id = rule ? rule.id : null;
+    if (id === activeTriggerId) return;
+    
+    activeTriggerId = id;
+    if (rule) {
+        triggerFiredAt.set(rule.id, Date.now());
+        contextSwitchPending = switchMusic;
+    }
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, rule ? `Trigger fired: ${rule.name || rule.pattern}` : 'Trigger cleared');
+    }
+}
+
+function getTriggerPool(rule, characterName) {
+    if (rule.target === 'playlist') {
+        const playlist = extension_settings.audio.playlists[rule.playlist];
+        if (!playlist) return [];
+        return playlist.type === 'manual' ? (playlist.tracks || []) : getSmartPlaylistMatches(playlist, characterName);
+    }
+    
+    const { query, error } = parseTagQuery(rule.tags || '');
+    return error || !query ? [] : filterTracksByTags(query, characterName, true);
+}
+
+// Override swaps in the rule's tracks; augment keeps only the mode's tracks that also match.
+// Either way an empty result leaves the mode's own candidates alone, and a rule whose
+// tracks are all ambient or banned counts as empty.
+function applyActiveTrigger(candidates, characterName) {
+    const rule = getActiveTrigger();
+    if (!rule) return candidates;
+    
+    const pool = getTriggerPool(rule, characterName).filter(path => isMusicCandidate(path, characterName));
+    const result = rule.effect === 'augment' ? candidates.filter(path => pool.includes(path)) : pool;
+    return result.length > 0 ? result : candidates;
+}
+
+function describeTriggerTarget(rule) {
+    const target = rule.target === 'playlist' ? `playlist "${rule.playlist}"` : rule.tags;
+    return `${rule.effect === 'augment' ? '+' : '→'} ${target}`;
+}
+
+function openTriggerEditor() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const playlistOptions = Object.keys(extension_settings.audio.playlists || {})
+        .map(name => `<option value="${name}">${name}</option>`).join('');
+    
+    const editor = $(`
+        <div class="trigger-editor-modal">
+            <h3 style="margin-top: 0;">Chat Triggers</h3>
+            <p style="opacity: 0.8; margin-bottom: 1em; font-size: 0.9em;">
+                When the latest message matches a rule, the music switches to the rule's tags or playlist. The highest priority wins when several match.
+            </p>
+            
+            <div id="trigger_list" style="max-height: 250px; overflow-y: auto; border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 5px;"></div>
+            <button class="menu_button" id="add_trigger" style="width: 100%; margin-top: 0.5em;">
+                <i class="fa-solid fa-plus"></i> Add Rule
+            </button>
+            
+            <div id="trigger_form" style="display: none; margin-top: 1em; padding: 0.75em; border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 5px;">
+                <div style="margin-bottom: 0.5em;">
+                    <label for="trigger_name" style="display: block; margin-bottom: 0.3em;">Name</label>
+                    <input type="text" class="text_pole" id="trigger_name" placeholder="e.g. Combat">
+                </div>
+                <div style="margin-bottom: 0.5em;">
+                    <label for="trigger_pattern" style="display: block; margin-bottom: 0.3em;">Keywords</label>
+                    <input type="text" class="text_pole" id="trigger_pattern" placeholder="sword|draws blade|ambush">
+                    <label class="checkbox_label" for="trigger_regex">
+                        <input type="checkbox" id="trigger_regex">
+                        <span>Regular expression (otherwise "|"-separated whole words)</span>
+                    </label>
+                </div>
+                <div style="display: flex; gap: 0.5em; margin-bottom: 0.5em;">
+                    <div style="flex: 1;">
+                        <label for="trigger_scope" style="display: block; margin-bottom: 0.3em;">Match in</label>
+                        <select id="trigger_scope" class="text_pole">
+                            <option value="both">Any message</option>
+                            <option value="user">User messages</option>
+                            <option value="character">Character messages</option>
+                        </select>
+                    </div>
+                    <div style="flex: 1;">
+                        <label for="trigger_priority" style="display: block; margin-bottom: 0.3em;">Priority</label>
+                        <input type="number" class="text_pole" id="trigger_priority" step="1">
+                    </div>
+                    <div style="flex: 1;">
+                        <label for="trigger_cooldown" style="display: block; margin-bottom: 0.3em;">Cooldown (s)</label>
+                        <input type="number" class="text_pole" id="trigger_cooldown" min="0" step="1">
+                    </div>
+                </div>
+                <div style="display: flex; gap: 0.5em; margin-bottom: 0.5em;">
+                    <div style="flex: 1;">
+                        <label for="trigger_target" style="display: block; margin-bottom: 0.3em;">Play</label>
+                        <select id="trigger_target" class="text_pole">
+                            <option value="tags">Tracks with tags</option>
+                            <option value="playlist">A playlist</option>
+                        </select>
+                    </div>
+                    <div style="flex: 1;">
+                        <label for="trigger_effect" style="display: block; margin-bottom: 0.3em;">Effect</label>
+                        <select id="trigger_effect" class="text_pole">
+                            <option value="override">Replace the current selection</option>
+                            <option value="augment">Narrow the current selection</option>
+                        </select>
+                    </div>
+                </div>
+                <div id="trigger_tags_row" style="margin-bottom: 0.5em;">
+                    <input type="text" class="text_pole" id="trigger_tags" placeholder="e.g. battle OR action">
+                    <small style="opacity: 0.7; font-size: 0.85em;">Same expressions as smart playlists</small>
+                </div>
+                <div id="trigger_playlist_row" style="margin-bottom: 0.5em; display: none;">
+                    <select id="trigger_playlist" class="text_pole">
+                        <option value="">-- Select Playlist --</option>
+                        ${playlistOptions}
+                    </select>
+                </div>
+                <div id="trigger_form_error" style="color: #ff6b6b; font-size: 0.85em; margin-bottom: 0.3em;"></div>
+                <div class="flex-container" style="gap: 0.5em;">
+                    <button class="menu_button" id="apply_trigger" style="flex: 1;">
+                        <i class="fa-solid fa-check"></i> Apply
+                    </button>
+                    <button class="menu_button" id="cancel_trigger" style="flex: 1;">
+                        <i class="fa-solid fa-times"></i> Discard
+                    </button>
+                </div>
+            </div>
+            
+            <div style="margin-top: 1em;">
+                <label for="trigger_test_text" style="font-size: 0.9em;">Test against:</label>
+                <select id="trigger_test_scope" class="text_pole" style="width: auto; display: inline-block;">
+                    <option value="character">a character message</option>
+                    <option value="user">a user message</option>
+                </select>
+                <textarea id="trigger_test_text" class="text_pole" rows="3" style="width: 100%; margin-top: 0.3em;" placeholder="He draws his blade as the ambush begins..."></textarea>
+                <div id="trigger_test_result" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.3em;"></div>
+            </div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="save_triggers" style="flex: 1;">
+                    <i class="fa-solid fa-save"></i> Save
+                </button>
+                <button class="menu_button" id="cancel_triggers" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+            </div>
+        </div>
+    `);
+    
+    editor.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '650px',
+        'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(editor);
+    $('body').append(backdrop);
+    
+    // Edits stay on this copy until Save
+    const rules = structuredClone(extension_settings.audio.trigger_rules || []);
+    let editingId = null;
+    
+    function renderRules() {
+        const list = $('#trigger_list');
+        list.empty();
+        
+        if (rules.length === 0) {
+            list.append('<div style="padding: 1em; text-align: center; opacity: 0.6;">No rules yet. Add one!</div>');
+            return;
+        }
+        
+        const scopes = { both: 'any message', user: 'user messages', character: 'character messages' };
+        rules.forEach(rule => {
+            const row = $(`
+                <div style="display: flex; align-items: center; gap: 0.5em; padding: 0.5em; border-bottom: 1px solid rgba(255, 255, 255, 0.05);">
+                    <input type="checkbox" class="toggle-trigger" ${rule.enabled ? 'checked' : ''} title="Enabled">
+                    <div style="flex: 1; min-width: 0;">
+                        <div class="trigger-name" style="font-weight: bold;"></div>
+                        <div class="trigger-details" style="font-size: 0.85em; opacity: 0.7;"></div>
+                    </div>
+                    <button class="menu_button menu_button_icon edit-trigger"><i class="fa-solid fa-edit"></i></button>
+                    <button class="menu_button menu_button_icon delete-trigger"><i class="fa-solid fa-trash"></i></button>
+                </div>
+            `);
+            // Patterns are user text, so they go in as text rather than HTML
+            row.find('.trigger-name').text(rule.name || rule.pattern);
+            row.find('.trigger-details').text(`${rule.pattern} ${describeTriggerTarget(rule)} • ${scopes[rule.scope]} • priority ${rule.priority || 0} • ${rule.cooldown || 0}s cooldown`);
+            
+            row.find('.toggle-trigger').on('change', function() {
+                rule.enabled = $(this).is(':checked');
+                updateTriggerTest();
+            });
+            row.find('.edit-trigger').on('click', () => showForm(rule));
+            row.find('.delete-trigger').on('click', () => {
+                rules.splice(rules.indexOf(rule), 1);
+                if (editingId === rule.id) hideForm();
+                renderRules();
+                updateTriggerTest();
+            });
+            list.append(row);
+        });
+    }
+    
+    function updateTargetRows() {
+        const isPlaylist = $('#trigger_target').val() === 'playlist';
+        $('#trigger_tags_row').toggle(!isPlaylist);
+        $('#trigger_playlist_row').toggle(isPlaylist);
+    }
+    
+    function showForm(rule) {
+        editingId = rule.id;
+        $('#trigger_name').val(rule.name);
+        $('#trigger_pattern').val(rule.pattern);
+        $('#trigger_regex').prop('checked', rule.regex);
+        $('#trigger_scope').val(rule.scope);
+        $('#trigger_priority').val(rule.priority);
+        $('#trigger_cooldown').val(rule.cooldown);
+        $('#trigger_target').val(rule.target);
+        $('#trigger_effect').val(rule.effect);
+        $('#trigger_tags').val(rule.tags);
+        $('#trigger_playlist').val(rule.playlist);
+        $('#trigger_form_error').text('');
+        updateTargetRows();
+        $('#trigger_form').show();
+    }
+    
+    function hideForm() {
+        editingId = null;
+        $('#trigger_form').hide();
+    }
+    
+    function readForm() {
+        return {
+            ...(rules.find(rule => rule.id === editingId) || createTriggerRule()),
+            id: editingId,
+            name: $('#trigger_name').val().trim(),
+            pattern: $('#trigger_pattern').val().trim(),
+            regex: $('#trigger_regex').is(':checked'),
+            scope: $('#trigger_scope').val(),
+            priority: parseInt($('#trigger_priority').val()) || 0,
+            cooldown: Math.max(0, parseInt($('#trigger_cooldown').val()) || 0),
+            target: $('#trigger_target').val(),
+            effect: $('#trigger_effect').val(),
+            tags: $('#trigger_tags').val().trim(),
+            playlist: $('#trigger_playlist').val() || '',
+        };
+    }
+    
+    // Shows which rules a sample message would match and what would play
+    function updateTriggerTest() {
+        const text = $('#trigger_test_text').val();
+        const result = $('#trigger_test_result');
+        if (!text.trim()) {
+            result.text('');
+            return;
+        }
+        
+        const scope = $('#trigger_test_scope').val();
+        const matches = findTriggerMatches(rules, { [scope]: text, both: text });
+        if (matches.length === 0) {
+            result.text('No rule matches');
+            return;
+        }
+        
+        const [winner, ...others] = matches;
+        const trackCount = getTriggerPool(winner, getContext().name2).length;
+        const matched = compileTriggerPattern(winner).regex.exec(text)[0];
+        result.text(`"${matched}" fires ${winner.name || winner.pattern} ${describeTriggerTarget(winner)} (${trackCount} tracks)` +
+            (others.length > 0 ? `. Also matched: ${others.map(rule => rule.name || rule.pattern).join(', ')}` : ''));
+    }
+    
+    renderRules();
+    
+    $('#add_trigger').on('click', () => {
+        showForm(createTriggerRule());
+        $('#trigger_name').focus();
+    });
+    
+    $('#trigger_target').on('change', updateTargetRows);
+    
+    $('#apply_trigger').on('click', () => {
+        const rule = readForm();
+        const error = validateTriggerRule(rule);
+        if (error) {
+            $('#trigger_form_error').text(error);
+            return;
+        }
+        
+        const index = rules.findIndex(existing => existing.id === rule.id);
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rules[index] = rule;
+        }
+        
+        hideForm();
+        renderRules();
+        updateTriggerTest();
+    });
+    
+    $('#cancel_trigger').on('click', hideForm);
+    $('#trigger_test_text').on('input', updateTriggerTest);
+    $('#trigger_test_scope').on('change', updateTriggerTest);
+    
+    $('#save_triggers').on('click', () => {
+        if (editingId && !confirm('Discard the rule you are editing?')) {
+            return;
+        }
+        
+        extension_settings.audio.trigger_rules = rules;
+        saveSettingsDebounced();
+        evaluateTriggers(false);
+        backdrop.remove();
+    });
+    
+    $('#cancel_triggers').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    editor.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// MUSIC CUES
+// ============================================
+
+// [bgm:battle], [bgm:calm OR sad], [bgm-playlist:Tavern], [bgm:stop], [bgm:auto]
+function getCuePattern() {
+    return /\[bgm(-playlist)?:\s*([^\]]+?)\s*\]/gi;
+}
+
+function parseMusicCues(text) {
+    return [...(text || '').matchAll(getCuePattern())].map(([, playlist, value]) => {
+        if (playlist) return { type: 'playlist', value };
+        
+        const keyword = value.toLowerCase();
+        if (keyword === 'stop' || keyword === 'auto') return { type: keyword, value };
+        return { type: 'tags', value };
+    });
+}
+
+function getCuePool(cue, characterName) {
+    if (cue.type === 'playlist') {
+        const playlist = extension_settings.audio.playlists[cue.value];
+        if (!playlist) return [];
+        return playlist.type === 'manual' ? (playlist.tracks || []) : getSmartPlaylistMatches(playlist, characterName);
+    }
+    
+    const { query, error } = parseTagQuery(cue.value);
+    return error || !query ? [] : filterTracksByTags(query, characterName, true);
+}
+
+// Cues only steer selection; they never touch the mode or active playlist in the settings.
+// A cue whose tracks are all ambient or banned is treated as matching nothing.
+function applyActiveCue(candidates, characterName) {
+    if (!activeCue) return candidates;
+    
+    const matches = getCuePool(activeCue, characterName).filter(path => isMusicCandidate(path, characterName));
+    return matches.length > 0 ? matches : candidates;
+}
+
+function describeCue(cue) {
+    return cue.type === 'playlist' ? `playlist "${cue.value}"` : cue.value;
+}
+
+// Only cues that can still be followed; a deleted playlist or broken expression counts as none
+function getValidCue(cue) {
+    if (cue.type === 'playlist') {
+        return extension_settings.audio.playlists[cue.value] ? cue : null;
+    }
+    return cue.type === 'tags' && !parseTagQuery(cue.value).error ? cue : null;
+}
+
+/**
+ * Runs a message's cues in order, then starts whatever they settled on. Cues
+ * that name a missing playlist or an invalid tag expression are skipped.
+ */
+function applyMusicCues(cues) {
+    let changed = false;
+    let stop = false;
+    
+    cues.forEach(cue => {
+        if (cue.type === 'stop') {
+            stop = true;
+            return;
+        }
+        stop = false;
+        
+        if (cue.type === 'auto') {
+            activeCue = null;
+            changed = true;
+        } else if (cue.type === 'playlist') {
+            if (!extension_settings.audio.playlists[cue.value]) {
+                console.warn(DEBUG_PREFIX, `Music cue names an unknown playlist: ${cue.value}`);
+                return;
+            }
+            activeCue = { type: 'playlist', value: cue.value };
+            applyPlaylistAmbience(cue.value);
+            changed = true;
+        } else {
+            const { error } = parseTagQuery(cue.value);
+            if (error) {
+                console.warn(DEBUG_PREFIX, `Ignoring music cue "${cue.value}": ${error}`);
+                return;
+            }
+            activeCue = { type: 'tags', value: cue.value };
+            changed = true;
+        }
+    });
+    
+    if (stop) {
+        pausePlayback();
+        return;
+    }
+    
+    if (changed && !extension_settings.audio.loop_single) {
+        const track = selectTrack();
+        if (track && track !== currentTrack) {
+            playTrack(track, 'emotion');
+            cooldownTimer = extension_settings.audio.cooldown * 1000;
+        }
+    }
+}
+
+function onMessageCues(messageId) {
+    if (!extension_settings.audio.enabled || !extension_settings.audio.cues_enabled) return;
+    
+    const message = (getContext().chat || [])[messageId];
+    if (!message || message.is_system) return;
+    
+    const cues = parseMusicCues(message.mes);
+    if (cues.length === 0) return;
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, 'Music cues:', cues);
+    }
+    applyMusicCues(cues);
+}
+
+// Picks the latest tag or playlist cue back up from the chat's messages, without starting anything
+function restoreMusicCue() {
+    activeCue = null;
+    if (!extension_settings.audio.cues_enabled) return;
+    
+    const chat = getContext().chat || [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const cues = parseMusicCues(chat[i].mes).filter(cue => cue.type !== 'stop');
+        if (cues.length > 0) {
+            activeCue = getValidCue(cues[cues.length - 1]);
+            return;
+        }
+    }
+}
+
+// A swipe replaces the message text, so the cue it carried may no longer be in the chat
+function onMessageSwiped(messageId) {
+    onMessageRendered(messageId);
+    if (!extension_settings.audio.enabled || !extension_settings.audio.cues_enabled) return;
+    
+    const previous = JSON.stringify(activeCue);
+    restoreMusicCue();
+    if (JSON.stringify(activeCue) !== previous) {
+        contextSwitchPending = true;
+    }
+    onMessageCues(messageId);
+}
+
+// Cues are removed from the rendered text only; the message itself keeps them
+function hideMusicCues(element) {
+    if (!element || !extension_settings.audio.cues_hide) return;
+    
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+    
+    nodes.forEach(node => {
+        const text = node.nodeValue.replace(getCuePattern(), '');
+        if (text !== node.nodeValue) {
+            node.nodeValue = text;
+        }
+    });
+}
+
+function onMessageRendered(messageId) {
+    hideMusicCues($(`#chat .mes[mesid="${messageId}"] .mes_text`)[0]);
+}
+
+function hideAllMusicCues() {
+    $('#chat .mes_text').each((_, element) => hideMusicCues(element));
+}
+
+// ============================================
+// WORLD INFO SCENES
+// ============================================
+
+// Parses "Haunted Castle -> haunted, spooky" and "Tavern -> [bgm-playlist:Tavern]" lines
+function parseSceneMappings(text) {
+    const mappings = [];
+    const errors = [];
+    
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        
+        const separator = line.indexOf('->');
+        const name = separator === -1 ? '' : line.slice(0, separator).trim();
+        const value = separator === -1 ? '' : line.slice(separator + 2).trim();
+        if (!name || !value) {
+            errors.push(`Line ${index + 1}: expected "Entry name -> tags"`);
+            return;
+        }
+        
+        const [cue] = parseMusicCues(value);
+        if (cue && cue.type === 'playlist') {
+            mappings.push({ name, tags: '', playlist: cue.value });
+            return;
+        }
+        
+        const tags = cue && cue.type === 'tags' ? cue.value : value;
+        const { error } = parseTagQuery(tags);
+        if (error) {
+            errors.push(`Line ${index + 1}: ${error}`);
+            return;
+        }
+        mappings.push({ name, tags, playlist: '' });
+    });
+    
+    return { mappings, errors };
+}
+
+function formatSceneMappings(mappings) {
+    return mappings.map(mapping => `${mapping.name} -> ${mapping.playlist ? `[bgm-playlist:${mapping.playlist}]` : mapping.tags}`).join('\n');
+}
+
+/**
+ * Music for a World Info entry: a [bgm:...] or [bgm-playlist:...] cue in its
+ * title/memo wins, then a mapping whose name equals the title or one of its keys.
+ * @returns {{name: string, tags: string, playlist: string}|null}
+ */
+function getSceneForEntry(entry) {
+    const keys = Array.isArray(entry.key) ? entry.key : [];
+    const title = (entry.comment || '').trim();
+    const name = title.replace(getCuePattern(), '').trim() || keys[0] || `Entry ${entry.uid}`;
+    
+    const cue = parseMusicCues(title).find(item => item.type === 'tags' || item.type === 'playlist');
+    if (cue) {
+        return { name, tags: cue.type === 'tags' ? cue.value : '', playlist: cue.type === 'playlist' ? cue.value : '' };
+    }
+    
+    const candidates = [title, ...keys].map(value => String(value).trim().toLowerCase()).filter(Boolean);
+    const mapping = (extension_settings.audio.scene_mappings || []).find(item => candidates.includes(item.name.toLowerCase()));
+    return mapping ? { name, tags: mapping.tags, playlist: mapping.playlist } : null;
+}
+
+function describeSceneEntry(scene) {
+    return `${scene.name} (${scene.playlist ? `playlist "${scene.playlist}"` : scene.tags})`;
+}
+
+function setSceneEntries(scenes) {
+    const key = JSON.stringify(scenes);
+    if (key === JSON.stringify(sceneEntries)) return;
+    
+    sceneEntries = scenes;
+    contextSwitchPending = true;
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, scenes.length > 0 ? `Scene: ${scenes.map(describeSceneEntry).join(', ')}` : 'Scene cleared');
+    }
+}
+
+function onSceneGenerationStarted(type, options, dryRun) {
+    // Quiet generations (summaries, image prompts) don't describe the scene
+    if (dryRun || type === 'quiet') return;
+    sceneGenerationPending = true;
+}
+
+function onWorldInfoActivated(entries) {
+    if (!sceneGenerationPending || !extension_settings.audio.scenes_enabled) return;
+    sceneGenerationPending = false;
+    
+    const scenes = [];
+    (entries || []).forEach(entry => {
+        const scene = getSceneForEntry(entry);
+        if (scene && !scenes.some(existing => existing.name === scene.name)) {
+            scenes.push(scene);
+        }
+    });
+    setSceneEntries(scenes);
+}
+
+// WORLD_INFO_ACTIVATED isn't sent when nothing activates, so a generation that finishes without it clears the scene
+function onSceneGenerationEnded() {
+    if (!sceneGenerationPending) return;
+    sceneGenerationPending = false;
+    if (extension_settings.audio.scenes_enabled) {
+        setSceneEntries([]);
+    }
+}
+
+function getScenePool(scene, characterName) {
+    if (scene.playlist) {
+        const playlist = extension_settings.audio.playlists[scene.playlist];
+        if (!playlist) return [];
+        return playlist.type === 'manual' ? (playlist.tracks || []) : getSmartPlaylistMatches(playlist, characterName);
+    }
+    
+    const { query, error } = parseTagQuery(scene.tags);
+    return error || !query ? [] : filterTracksByTags(query, characterName, true);
+}
+
+// Keeps the candidates that fit the most active scenes. When none of them fit any scene,
+// the scene's own tracks are used without the emotion filter, and failing that nothing changes.
+// Ambient and banned tracks never count as fitting a scene.
+function applySceneTags(candidates, characterName) {
+    if (!extension_settings.audio.scenes_enabled || sceneEntries.length === 0) return candidates;
+    
+    const pools = sceneEntries.map(scene => new Set(
+        getScenePool(scene, characterName).filter(path => isMusicCandidate(path, characterName))
+    ));
+    const score = path => pools.filter(pool => pool.has(path)).length;
+    const bestOf = paths => {
+        const scores = paths.map(score);
+        const best = Math.max(0, ...scores);
+        return best > 0 ? paths.filter((_, index) => scores[index] === best) : [];
+    };
+    
+    const narrowed = bestOf(candidates);
+    if (narrowed.length > 0) return narrowed;
+    
+    const sceneTracks = bestOf([...new Set(pools.flatMap(pool => [...pool]))]);
+    return sceneTracks.length > 0 ? sceneTracks : candidates;
+}
+
+function openSceneEditor() {
+    const backdrop = $('<div class="audio-modal-backdrop"></div>');
+    backdrop.css({
+        'position': 'fixed',
+        'inset': '0',
+        'background': 'rgba(0, 0, 0, 0.7)',
+        'z-index': '9999',
+        'display': 'flex',
+        'align-items': 'center',
+        'justify-content': 'center',
+        'backdrop-filter': 'blur(4px)'
+    });
+    
+    const editor = $(`
+        <div class="scene-editor-modal">
+            <h3 style="margin-top: 0;">World Info Scenes</h3>
+            <p style="opacity: 0.8; margin-bottom: 1em; font-size: 0.9em;">
+                One mapping per line: an entry's title or one of its keys, then the tags to play while it's active.
+                You can also put <code>[bgm:tags]</code> or <code>[bgm-playlist:Name]</code> straight into an entry's title.
+            </p>
+            
+            <textarea id="scene_mappings" class="text_pole" rows="10" style="width: 100%; font-family: monospace; font-size: 0.85em;" placeholder="Haunted Castle -> haunted, spooky&#10;Tavern -> [bgm-playlist:Tavern]"></textarea>
+            <div id="scene_errors" style="color: #ff6b6b; font-size: 0.85em; margin-top: 0.3em;"></div>
+            <div id="scene_active" style="font-size: 0.85em; opacity: 0.8; margin-top: 0.5em;"></div>
+            
+            <div class="flex-container" style="gap: 0.5em; margin-top: 1em;">
+                <button class="menu_button" id="save_scenes" style="flex: 1;">
+                    <i class="fa-solid fa-save"></i> Save
+                </button>
+                <button class="menu_button" id="cancel_scenes" style="flex: 1;">
+                    <i class="fa-solid fa-times"></i> Cancel
+                </button>
+            </div>
+        </div>
+    `);
+    
+    editor.css({
+        'background': '#1a1a1a',
+        'border': '1px solid rgba(255, 255, 255, 0.2)',
+        'border-radius': '10px',
+        'padding': '1.5em',
+        'max-width': '600px',
+        'width': '90%',
+        'max-height': '90vh',
+        'overflow-y': 'auto',
+        'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.5)',
+        'color': '#e0e0e0'
+    });
+    
+    backdrop.append(editor);
+    $('body').append(backdrop);
+    
+    $('#scene_mappings').val(formatSceneMappings(extension_settings.audio.scene_mappings || []));
+    $('#scene_active').text(sceneEntries.length > 0
+        ? `Active now: ${sceneEntries.map(describeSceneEntry).join(', ')}`
+        : 'No entries are influencing the music right now');
+    
+    function updateSceneErrors() {
+        $('#scene_errors').html(parseSceneMappings($('#scene_mappings').val()).errors.join('<br>'));
+    }
+    $('#scene_mappings').on('input', updateSceneErrors);
+    
+    $('#save_scenes').on('click', () => {
+        const { mappings, errors } = parseSceneMappings($('#scene_mappings').val());
+        if (errors.length > 0) {
+            alert('Please fix the errors before saving');
+            return;
+        }
+        
+        extension_settings.audio.scene_mappings = mappings;
+        saveSettingsDebounced();
+        backdrop.remove();
+    });
+    
+    $('#cancel_scenes').on('click', () => backdrop.remove());
+    
+    backdrop.on('click', (e) => {
+        if (e.target === backdrop[0]) {
+            e.stopPropagation();
+            backdrop.remove();
+        }
+    });
+    
+    editor.on('click', (e) => {
+        e.stopPropagation();
+    });
+}
+
+// ============================================
+// SCENE CONTEXT TAGS
+// ============================================
+
+// Tags scripts set with /d-audio scene, e.g. location:forest or time:night. They belong to the chat.
+function getSceneContext() {
+    const tags = getContext().chatId ? chat_metadata[SCENE_METADATA_KEY] : null;
+    return Array.isArray(tags) ? tags : [];
+}
+
+function setSceneContext(tags) {
+    if (!getContext().chatId) return false;
+    
+    const unique = [...new Set(tags.map(tag => tag.toLowerCase()))];
+    if (JSON.stringify(unique) === JSON.stringify(getSceneContext())) return true;
+    
+    if (unique.length > 0) {
+        chat_metadata[SCENE_METADATA_KEY] = unique;
+    } else {
+        delete chat_metadata[SCENE_METADATA_KEY];
+    }
+    saveMetadataDebounced();
+    contextSwitchPending = true;
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, unique.length > 0 ? `Scene tags: ${unique.join(', ')}` : 'Scene tags cleared');
+    }
+    return true;
+}
+
+// Keeps only the candidates carrying every scene tag. That can leave none, which is handled
+// like any other filter that matches no tracks.
+function requireSceneContext(candidates) {
+    const tags = getSceneContext();
+    if (tags.length === 0) return candidates;
+    
+    const query = { type: 'and', items: tags.map(createTagNode) };
+    return candidates.filter(path => {
+        const metadata = trackLibrary.metadata[path];
+        return Boolean(metadata && metadata.tags) && matchesTagQuery(query, metadata);
+    });
+}
+
+// /d-audio scene [clear] add=... remove=... set=... (clear/set first, then remove, then add)
+function handleSceneCommand(args, subcommand) {
+    const edits = ['set', 'remove', 'add'].filter(key => key in args);
+    
+    if (subcommand === '' || subcommand === 'list') {
+        if (edits.length === 0) return getSceneContext().join(', ');
+    } else if (subcommand !== 'clear') {
+        return `Unknown scene command: ${subcommand} (use clear, add=, remove= or set=)`;
+    }
+    
+    let tags = subcommand === 'clear' ? [] : [...getSceneContext()];
+    if ('set' in args) {
+        tags = parseTagList(args.set);
+    }
+    if ('remove' in args) {
+        const removed = parseTagList(args.remove).map(tag => tag.toLowerCase());
+        tags = tags.filter(tag => !removed.includes(tag.toLowerCase()));
+    }
+    if ('add' in args) {
+        tags.push(...parseTagList(args.add));
+    }
+    
+    if (!setSceneContext(tags)) return 'No chat open';
+    
+    const current = getSceneContext();
+    return current.length > 0 ? `Scene tags: ${current.join(', ')}` : 'Scene tags cleared';
+}
+
+// ============================================
+// AMBIENT LAYER
+// ============================================
+
+// Looping players for the ambient channel, keyed by track path
+const ambientPlayers = new Map();
+
+function isAmbientTrack(path) {
+    const metadata = trackLibrary.metadata[path];
+    return !!(metadata && metadata.tags && metadata.tags.includes(AMBIENT_TAG));
+}
+
+function getAmbientTracks() {
+    const context = getContext();
+    return filterTracksByTags([AMBIENT_TAG], context.name2, true);
+}
+
+/**
+ * Resolves ambience terms to ambient track paths. A term matches tracks
+ * carrying it as a tag first, then falls back to a title/filename search.
+ */
+function resolveAmbientTerms(terms) {
+    const ambientTracks = getAmbientTracks();
+    const resolved = [];
+    
+    terms.forEach(term => {
+        const query = term.toLowerCase();
+        let matches = ambientTracks.filter(path => {
+            return trackLibrary.metadata[path].tags.some(t => t.toLowerCase() === query);
+        });
         
-        if (candidates.length === 0) {
-            candidates = filterTracksByTags(['instrumental'], characterName, includeGlobal);
+        if (matches.length === 0) {
+            matches = ambientTracks.filter(path => getTrackTitle(path).toLowerCase().includes(query));
         }
         
-    } else if (mode === 'songs') {
-        const emotionFilter = extension_settings.audio.songs_emotion_filter;
-        const includeGlobal = extension_settings.audio.songs_include_global !== false;
-        
-        if (emotionFilter && emotionFilter !== 'all') {
-            candidates = filterTracksByTags([emotionFilter], characterName, includeGlobal);
-        } else {
-            // Get all songs based on include_global setting
-            if (includeGlobal) {
-                candidates = [...trackLibrary.global];
-                if (characterName && trackLibrary.character[characterName]) {
-                    candidates = [...trackLibrary.character[characterName], ...candidates];
-                }
-            } else {
-                // Only character tracks
-                if (characterName && trackLibrary.character[characterName]) {
-                    candidates = [...trackLibrary.character[characterName]];
-                } else {
-                    candidates = [];
-                }
+        matches.forEach(path => {
+            if (!resolved.includes(path)) {
+                resolved.push(path);
             }
+        });
+    });
+    
+    return resolved;
+}
+
+function syncAmbientPlayers() {
+    const layers = extension_settings.audio.ambient_layers;
+    const shouldPlay = extension_settings.audio.enabled;
+    
+    // Drop players for layers that were removed
+    ambientPlayers.forEach((player, path) => {
+        if (!layers.includes(path)) {
+            player.pause();
+            player.removeAttribute('src');
+            ambientPlayers.delete(path);
+        }
+    });
+    
+    layers.forEach(path => {
+        let player = ambientPlayers.get(path);
+        if (!player) {
+            player = new Audio(encodeTrackPath(path));
+            player.loop = true;
+            ambientPlayers.set(path, player);
         }
         
-    } else if (mode === 'playlist') {
-        const playlistName = extension_settings.audio.active_playlist;
-        const playlist = extension_settings.audio.playlists[playlistName];
-        
-        if (playlist) {
-            if (playlist.type === 'manual') {
-                candidates = playlist.tracks || [];
-            } else if (playlist.type === 'smart') {
-                const tags = [...(playlist.tags || [])];
-                const includeGlobal = playlist.include_global !== false;
-                
-                if (playlist.emotion_mode === 'auto') {
-                    tags.push(currentEmotion);
-                } else if (playlist.emotion_mode === 'manual' && playlist.emotion_override) {
-                    tags.push(playlist.emotion_override);
-                }
-                
-                candidates = filterTracksByTags(tags, characterName, includeGlobal);
-            }
+        if (shouldPlay && player.paused) {
+            player.play().catch(error => console.error(DEBUG_PREFIX, 'Error playing ambient layer:', error));
+        } else if (!shouldPlay && !player.paused) {
+            player.pause();
         }
+    });
+    
+    applyAmbientVolume();
+}
+
+function applyAmbientVolume() {
+    ambientPlayers.forEach(player => {
+        player.volume = extension_settings.audio.ambient_volume * 0.01;
+        player.muted = extension_settings.audio.ambient_muted;
+    });
+}
+
+function setAmbientLayers(paths) {
+    extension_settings.audio.ambient_layers = [...new Set(paths)];
+    
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, 'Ambient layers:', extension_settings.audio.ambient_layers);
     }
     
-    if (candidates.length === 0) {
-        if (extension_settings.audio.debug_mode) {
-            console.log(DEBUG_PREFIX, 'No tracks match current criteria');
-        }
-        return null;
+    syncAmbientPlayers();
+    saveSettingsDebounced();
+    updateAmbientUI();
+    updateTrackList();
+}
+
+function addAmbientLayer(path) {
+    setAmbientLayers([...extension_settings.audio.ambient_layers, path]);
+}
+
+function removeAmbientLayer(path) {
+    setAmbientLayers(extension_settings.audio.ambient_layers.filter(p => p !== path));
+}
+
+function toggleAmbientLayer(path) {
+    if (extension_settings.audio.ambient_layers.includes(path)) {
+        removeAmbientLayer(path);
+    } else {
+        addAmbientLayer(path);
+    }
+}
+
+// Playlists can carry ambience tags; activating one swaps in matching loops
+function applyPlaylistAmbience(playlistName) {
+    const playlist = extension_settings.audio.playlists[playlistName];
+    if (!playlist || !playlist.ambient_tags || playlist.ambient_tags.length === 0) {
+        return;
     }
     
-    if (skipForward && currentTrack) {
-        const currentIndex = candidates.indexOf(currentTrack);
-        
-        if (currentIndex !== -1) {
-            const nextIndex = (currentIndex + 1) % candidates.length;
-            return candidates[nextIndex];
-        } else {
-            return candidates[0];
-        }
+    setAmbientLayers(resolveAmbientTerms(playlist.ambient_tags));
+}
+
+function setAmbientVolume(volume) {
+    extension_settings.audio.ambient_volume = volume;
+    applyAmbientVolume();
+    
+    $('#audio_ambient_volume_slider').val(volume);
+    $('#audio_ambient_volume').text(volume);
+    $('#miniplayer_ambient_volume').val(volume);
+    updateAmbientMuteIcons();
+    
+    saveSettingsDebounced();
+}
+
+function onAmbientMuteClick() {
+    extension_settings.audio.ambient_muted = !extension_settings.audio.ambient_muted;
+    applyAmbientVolume();
+    updateAmbientMuteIcons();
+    saveSettingsDebounced();
+}
+
+function updateAmbientMuteIcons() {
+    const muted = extension_settings.audio.ambient_muted || extension_settings.audio.ambient_volume === 0;
+    const icon = muted ? 'fa-volume-mute' : 'fa-cloud-rain';
+    $('#audio_ambient_mute_icon').removeClass('fa-cloud-rain fa-volume-mute').addClass(icon);
+    $('#miniplayer_ambient_mute_icon').removeClass('fa-cloud-rain fa-volume-mute').addClass(icon);
+}
+
+function updateAmbientUI() {
+    const list = $('#ambient_layer_list');
+    list.empty();
+    
+    const layers = extension_settings.audio.ambient_layers;
+    if (layers.length === 0) {
+        list.append('<div style="font-size: 0.85em; opacity: 0.6;">No ambience playing</div>');
     }
     
-    if (extension_settings.audio.shuffle) {
-        const availableCandidates = candidates.filter(t => t !== currentTrack);
-        const finalCandidates = availableCandidates.length > 0 ? availableCandidates : candidates;
-        return finalCandidates[Math.floor(Math.random() * finalCandidates.length)];
+    layers.forEach(path => {
+        const item = $(`
+            <div class="ambient-layer" style="display: flex; align-items: center; gap: 0.5em; padding: 0.25em 0;">
+                <i class="fa-solid fa-cloud-rain" style="opacity: 0.7;"></i>
+                <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${getTrackTitle(path)}</span>
+                <button class="menu_button menu_button_icon remove-ambient-layer" title="Remove layer">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+        `);
+        item.find('.remove-ambient-layer').on('click', () => removeAmbientLayer(path));
+        list.append(item);
+    });
+    
+    const select = $('#audio_ambient_add_select');
+    select.empty();
+    const available = getAmbientTracks().filter(path => !layers.includes(path));
+    
+    if (available.length === 0) {
+        select.append('<option value="">-- No ambient tracks available --</option>');
     } else {
-        const availableCandidates = candidates.filter(t => t !== currentTrack);
-        if (availableCandidates.length > 0) {
-            return availableCandidates[0];
-        }
-        return candidates[0];
+        select.append('<option value="">-- Add ambient layer --</option>');
+        available.forEach(path => {
+            select.append(`<option value="${path}">${getTrackTitle(path)}</option>`);
+        });
     }
+    
+    updateAmbientMuteIcons();
 }
 
-async function playTrack(trackPath) {
-    if (!trackPath) return;
-    
-    const debugLog = (msg) => {
-        if (extension_settings.audio.debug_mode) {
-            console.log(DEBUG_PREFIX, msg);
+// ============================================
+// CHARACTER DEFAULTS & CHAT SOUNDTRACK
+// ============================================
+
+function captureProfile() {
+    const profile = {};
+    PROFILE_KEYS.forEach(key => {
+        profile[key] = extension_settings.audio[key];
+    });
+    return profile;
+}
+
+function applyProfile(profile) {
+    PROFILE_KEYS.forEach(key => {
+        if (profile[key] !== undefined) {
+            extension_settings.audio[key] = profile[key];
         }
-    };
+    });
     
-    debugLog(`Playing track: ${trackPath}`);
+    // Keep the settings panel in sync with the applied values
+    $('#audio_mode').val(extension_settings.audio.mode);
+    $('#audio_songs_emotion_filter').val(extension_settings.audio.songs_emotion_filter);
+    $('#audio_songs_include_global').prop('checked', extension_settings.audio.songs_include_global !== false);
+    $('#audio_instrumental_include_global').prop('checked', extension_settings.audio.instrumental_include_global !== false);
+    updateModeUI();
+    updatePlaylistDropdown();
+}
+
+// Puts back the global settings that were stashed when a character default took over
+function restoreGlobalProfile() {
+    if (extension_settings.audio.profile_snapshot) {
+        applyProfile(extension_settings.audio.profile_snapshot);
+        extension_settings.audio.profile_snapshot = null;
+    }
+}
+
+// Pinned soundtrack state for the open chat, or null when the chat isn't pinned
+function getChatSoundtrack() {
+    const state = chat_metadata ? chat_metadata[CHAT_METADATA_KEY] : null;
+    return state && state.pinned ? state : null;
+}
+
+/**
+ * Resolves the playback settings for the open chat: a pinned chat state wins,
+ * then the character's defaults, then the global settings.
+ * @param {string} characterName
+ * @param {boolean} restartPlayback - pick a new track if the applied settings changed
+ * @returns {boolean} whether the applied settings changed
+ */
+function applyPlaybackProfile(characterName, restartPlayback = true) {
+    defaultsCharacterName = characterName;
+    
+    const before = JSON.stringify(captureProfile());
+    const previousOffset = volumeOffset;
+    const defaults = characterName ? extension_settings.audio.character_defaults[characterName] : null;
+    const chatState = getChatSoundtrack();
+    
+    const profile = { ...(defaults || {}) };
+    if (chatState) {
+        CHAT_PROFILE_KEYS.forEach(key => {
+            if (chatState[key] !== undefined) profile[key] = chatState[key];
+        });
+    }
     
-    if (currentTrack && currentTrack !== trackPath) {
-        previousTrack = currentTrack;
+    if (defaults || chatState) {
+        // Start from the global settings so keys the profile leaves out aren't inherited from the last character
+        restoreGlobalProfile();
+        extension_settings.audio.profile_snapshot = captureProfile();
+        applyProfile(profile);
+        volumeOffset = defaults ? (Number(defaults.volume_offset) || 0) : 0;
+    } else {
+        restoreGlobalProfile();
+        volumeOffset = 0;
     }
     
-    const previousCurrentTrack = currentTrack;
-    currentTrack = trackPath;
+    applyBgmVolume();
+    updateCharacterDefaultsUI();
+    updateChatSoundtrackUI();
     
-    const audio = $('#audio_bgm')[0];
+    const changed = before !== JSON.stringify(captureProfile());
+    if (!changed && previousOffset === volumeOffset) return false;
     
-    const pathParts = trackPath.split('/');
-    const encodedPath = pathParts.map((part, index) => {
-        return index === 0 ? part : encodeURIComponent(part);
-    }).join('/');
-    audio.src = encodedPath;
-    audio.volume = extension_settings.audio.bgm_volume * 0.01;
-    audio.loop = extension_settings.audio.loop_single;
+    if (extension_settings.audio.debug_mode) {
+        console.log(DEBUG_PREFIX, `Applied playback profile for: ${characterName || '(none)'}`, {
+            character: defaults || null,
+            chat: chatState || null,
+        });
+    }
     
-    try {
-        await audio.play();
-        updateNowPlaying();
-        updateMiniplayerContent();
-        updateTrackList(); 
-    } catch (error) {
-        console.error(DEBUG_PREFIX, 'Error playing track:', error);
-        
-        const nextTrack = selectTrack(true);
-        
-        if (nextTrack && nextTrack !== trackPath) {
-            setTimeout(() => playTrack(nextTrack), 100);
-        } else {
-            audio.pause();
-            currentTrack = null;
-        }
+    saveSettingsDebounced();
+    
+    if (changed && restartPlayback && extension_settings.audio.enabled && !isPaused) {
+        const track = selectTrack();
+        if (track && track !== currentTrack) playTrack(track);
     }
+    
+    return changed;
 }
 
-function updateNowPlaying() {
-    if (!currentTrack) {
-        $('#now_playing').text('Nothing playing');
-        return;
+function syncCharacterDefaults(restartPlayback = true) {
+    const characterName = getContext().name2;
+    if (characterName !== defaultsCharacterName) {
+        applyPlaybackProfile(characterName, restartPlayback);
+    }
+}
+
+function saveCharacterDefault(characterName) {
+    const offset = parseInt($('#audio_char_volume_offset').val());
+    
+    // The current values become the character's; the snapshot keeps the global ones
+    if (!extension_settings.audio.profile_snapshot) {
+        extension_settings.audio.profile_snapshot = captureProfile();
     }
     
-    const metadata = trackLibrary.metadata[currentTrack] || {};
-    const filename = currentTrack.split('/').pop();
-    $('#now_playing').text(metadata.title || filename);
+    extension_settings.audio.character_defaults[characterName] = {
+        ...captureProfile(),
+        volume_offset: isNaN(offset) ? volumeOffset : offset,
+    };
+    
+    defaultsCharacterName = characterName;
+    volumeOffset = extension_settings.audio.character_defaults[characterName].volume_offset;
+    applyBgmVolume();
+    updateCharacterDefaultsUI();
+    saveSettingsDebounced();
 }
 
-function updateProgressBar() {
-    if (isSeeking) return; // Don't update while user is seeking
+function clearCharacterDefault(characterName) {
+    delete extension_settings.audio.character_defaults[characterName];
+    applyPlaybackProfile(characterName);
+    updateCharacterDefaultsUI();
+    saveSettingsDebounced();
+}
+
+function describeCharacterDefault(characterName) {
+    const defaults = extension_settings.audio.character_defaults[characterName];
+    if (!defaults) {
+        return `No music defaults saved for ${characterName}`;
+    }
+    
+    const parts = [`Mode: ${defaults.mode}`];
+    if (defaults.mode === 'playlist') {
+        parts.push(`Playlist: ${defaults.active_playlist || 'none'}`);
+    }
+    if (defaults.mode === 'songs') {
+        parts.push(`Emotion filter: ${defaults.songs_emotion_filter}`);
+        parts.push(`Include global: ${defaults.songs_include_global !== false ? 'Yes' : 'No'}`);
+    }
+    if (defaults.mode === 'instrumental') {
+        parts.push(`Include global: ${defaults.instrumental_include_global !== false ? 'Yes' : 'No'}`);
+    }
+    parts.push(`Volume offset: ${defaults.volume_offset > 0 ? '+' : ''}${defaults.volume_offset || 0}`);
     
-    const audio = $('#audio_bgm')[0];
+    return `${characterName} defaults - ${parts.join(', ')}`;
+}
+
+function updateCharacterDefaultsUI() {
+    const characterName = getContext().name2;
     
-    if (!audio || !audio.duration) {
-        $('#audio_progress').val(0);
-        $('#audio_current_time').text('0:00');
-        $('#audio_duration').text('0:00');
+    if (!characterName) {
+        $('#audio_char_default_status').text('No character selected');
+        $('#audio_char_default_save, #audio_char_default_clear').prop('disabled', true);
         return;
     }
     
-    const percent = (audio.currentTime / audio.duration) * 100;
-    $('#audio_progress').val(percent);
+    const defaults = extension_settings.audio.character_defaults[characterName];
+    $('#audio_char_default_status').text(describeCharacterDefault(characterName));
+    $('#audio_char_volume_offset').val(defaults ? (defaults.volume_offset || 0) : 0);
+    $('#audio_char_default_save').prop('disabled', false);
+    $('#audio_char_default_clear').prop('disabled', !defaults);
+}
+
+function pinChatSoundtrack() {
+    if (!chat_metadata) return false;
+    
+    // Whatever is playing now becomes the chat's; the snapshot keeps the global settings
+    if (!extension_settings.audio.profile_snapshot) {
+        extension_settings.audio.profile_snapshot = captureProfile();
+    }
     
-    $('#audio_current_time').text(formatTime(audio.currentTime));
-    $('#audio_duration').text(formatTime(audio.duration));
+    const state = { pinned: true };
+    CHAT_PROFILE_KEYS.forEach(key => {
+        state[key] = extension_settings.audio[key];
+    });
+    state.last_track = currentTrack;
+    state.last_position = currentTrack ? getBgmPlayer().currentTime : 0;
+    trackStartedInChat = true;
+    
+    chat_metadata[CHAT_METADATA_KEY] = state;
+    saveMetadataDebounced();
+    saveSettingsDebounced();
+    updateChatSoundtrackUI();
+    return true;
 }
 
-function formatTime(seconds) {
-    if (!isFinite(seconds)) return '0:00';
+function unpinChatSoundtrack() {
+    if (!chat_metadata || !chat_metadata[CHAT_METADATA_KEY]) return false;
+    
+    delete chat_metadata[CHAT_METADATA_KEY];
+    saveMetadataDebounced();
+    applyPlaybackProfile(getContext().name2);
+    updateChatSoundtrackUI();
+    return true;
+}
+
+// Keeps the pinned chat's last track and position current in memory, where they're written
+// along with the chat whenever SillyTavern saves it. A track left over from the previous chat
+// (opened while paused or disabled) isn't recorded until it's played here.
+function updateChatPosition() {
+    const state = getChatSoundtrack();
+    if (!state || !currentTrack || !trackStartedInChat) return false;
+    
+    state.last_track = currentTrack;
+    state.last_position = getBgmPlayer().currentTime || 0;
+    return true;
+}
+
+// Writing metadata rewrites the whole chat file, so this only runs on pause and track changes
+function saveChatPosition() {
+    if (updateChatPosition()) {
+        saveMetadataDebounced();
+    }
+}
+
+// Saves straight away when the tab is hidden, since the page may be closed before a debounced
+// save runs. Best effort only: a page that's closing may not finish the save either.
+function onVisibilityChange() {
+    if (document.visibilityState === 'hidden' && updateChatPosition()) {
+        saveChatConditional();
+    }
+}
+
+// Resumes the pinned chat's last track where it left off
+function restoreChatTrack() {
+    const state = getChatSoundtrack();
+    if (!state || !state.last_track) return false;
+    
+    const position = Number(state.last_position) || 0;
+    playTrack(state.last_track).then(() => {
+        if (currentTrack === state.last_track && position > 0) {
+            getBgmPlayer().currentTime = position;
+        }
+    });
+    return true;
+}
+
+function describeChatSoundtrack() {
+    const state = getChatSoundtrack();
+    if (!state) {
+        return 'This chat uses the character or global settings';
+    }
     
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    const parts = [`Mode: ${state.mode}`];
+    if (state.mode === 'playlist') {
+        parts.push(`Playlist: ${state.active_playlist || 'none'}`);
+    }
+    if (state.mode === 'songs') {
+        parts.push(`Emotion filter: ${state.songs_emotion_filter}`);
+    }
+    if (state.last_track) {
+        parts.push(`Last track: ${getTrackTitle(state.last_track)} @ ${formatTime(state.last_position)}`);
+    }
+    
+    return `Pinned to this chat - ${parts.join(', ')}`;
 }
 
-function detectEmotion() {
-    const spriteImg = $('#expression-image').attr('src');
-    if (!spriteImg) {
-        return 'neutral';
-    }
-    
-    const expressionName = spriteImg.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
-    
-    if (EMOTION_TAGS.includes(expressionName)) {
-        return expressionName;
-    }
-    
-    const emotionMap = {
-        'happy': 'joy',
-        'sad': 'sadness',
-        'angry': 'anger',
-        'scared': 'fear',
-        'surprised': 'surprise',
-        'disgusted': 'disgust',
-        'loving': 'love',
-        'excited': 'excitement',
-        'nervous': 'nervousness',
-        'embarrassed': 'embarrassment',
-        'proud': 'pride',
-        'grateful': 'gratitude',
-        'curious': 'curiosity',
-        'confused': 'confusion',
-        'disappointed': 'disappointment',
-        'relieved': 'relief',
-        'annoyed': 'annoyance',
-        'amused': 'amusement',
-        'caring': 'caring',
-        'approving': 'approval',
-        'disapproving': 'disapproval',
-        'optimistic': 'optimism',
-        'remorseful': 'remorse'
-    };
+function updateChatSoundtrackUI() {
+    const hasChat = !!getContext().chatId;
+    $('#audio_chat_pin').prop('checked', !!getChatSoundtrack()).prop('disabled', !hasChat);
+    $('#audio_chat_pin_status').text(hasChat ? describeChatSoundtrack() : 'No chat open');
+}
+
+function onChatChanged() {
+    // Readings and scenes from the previous chat shouldn't carry over, nor should its track
+    trackStartedInChat = false;
+    emotionReadings = [];
+    sceneEntries = [];
+    restoreMusicCue();
+    hideAllMusicCues();
+    
+    const changed = applyPlaybackProfile(getContext().name2, false);
+    updateChatSoundtrackUI();
+    
+    if (!extension_settings.audio.enabled || isPaused) return;
+    
+    if (restoreChatTrack()) return;
     
-    return emotionMap[expressionName] || 'neutral';
+    if (changed) {
+        const track = selectTrack();
+        if (track && track !== currentTrack) playTrack(track);
+    } else if (getSceneContext().length > 0) {
+        // The new chat's scene tags may not fit what's playing
+        contextSwitchPending = true;
+    }
 }
 
 // ============================================
@@ -2308,6 +7679,9 @@ async function moduleWorker() {
         await scanTracks();
     }
     
+    // Apply the character's saved music defaults once per character switch
+    syncCharacterDefaults();
+    
     if (cooldownTimer > 0) {
         cooldownTimer -= UPDATE_INTERVAL;
     }
@@ -2316,15 +7690,31 @@ async function moduleWorker() {
     updateProgressBar();
     updateMiniplayerProgress();
     
-    const newEmotion = detectEmotion();
+    updateChatPosition();
+    accrueListenTime();
+    
+    const newEmotion = updateSmoothedEmotion();
     if (newEmotion !== currentEmotion) {
         currentEmotion = newEmotion;
         debugLog(`Emotion changed to: ${currentEmotion}`);
         
-        if (cooldownTimer <= 0 && !extension_settings.audio.loop_single) {
+        if (cooldownTimer <= 0 && !extension_settings.audio.loop_single && !isPaused && !isQueueHolding()) {
+            const track = selectTrack();
+            if (track && track !== currentTrack) {
+                await playTrack(track, 'emotion');
+                cooldownTimer = extension_settings.audio.cooldown * 1000;
+            }
+        }
+    }
+    
+    // Rules have their own cooldowns, so a firing rule or a new scene doesn't wait for the emotion cooldown
+    if (contextSwitchPending) {
+        contextSwitchPending = false;
+        
+        if (!extension_settings.audio.loop_single && !isPaused && !isQueueHolding() && !getSelectionCandidates().includes(currentTrack)) {
             const track = selectTrack();
             if (track && track !== currentTrack) {
-                await playTrack(track);
+                await playTrack(track, 'emotion');
                 cooldownTimer = extension_settings.audio.cooldown * 1000;
             }
         }
@@ -2335,6 +7725,23 @@ async function moduleWorker() {
 // SLASH COMMANDS
 // ============================================
 
+// Finds the first track whose title or filename contains the query
+function findTrackByQuery(query) {
+    const allTracks = [
+        ...trackLibrary.global,
+        ...Object.values(trackLibrary.character).flat()
+    ];
+    const needle = query.replace(/^["']|["']$/g, '').toLowerCase();
+    
+    return allTracks.find(path => {
+        const filename = path.split('/').pop();
+        const metadata = trackLibrary.metadata[path] || {};
+        const title = metadata.title || filename;
+        return title.toLowerCase().includes(needle) || 
+               filename.toLowerCase().includes(needle);
+    });
+}
+
 function handleAudioCommand(args, value) {
     const debugLog = (msg) => {
         if (extension_settings.audio.debug_mode) {
@@ -2346,12 +7753,24 @@ function handleAudioCommand(args, value) {
     if (value) {
         const action = value.toLowerCase().trim();
         
+        const [command, subcommand = '', ...rest] = value.trim().split(/\s+/);
+        if (command.toLowerCase() === 'queue') {
+            return handleQueueCommand(subcommand.toLowerCase(), rest.join(' '));
+        }
+        if (command.toLowerCase() === 'scene') {
+            return handleSceneCommand(args, subcommand.toLowerCase());
+        }
+        
         switch (action) {
             case 'on':
                 extension_settings.audio.enabled = true;
                 $('#audio_enabled').prop('checked', true);
+                syncCharacterDefaults(false);
+                updateClassifiedEmotion();
+                evaluateTriggers(false);
                 const track = selectTrack();
                 if (track) playTrack(track);
+                syncAmbientPlayers();
                 updateMiniplayerVisibility();
                 saveSettingsDebounced();
                 return 'Audio enabled';
@@ -2359,11 +7778,21 @@ function handleAudioCommand(args, value) {
             case 'off':
                 extension_settings.audio.enabled = false;
                 $('#audio_enabled').prop('checked', false);
-                $('#audio_bgm')[0].pause();
+                fadeOutMusic();
+                syncAmbientPlayers();
                 updateMiniplayerVisibility();
                 saveSettingsDebounced();
                 return 'Audio disabled';
                 
+            case 'pause':
+                pausePlayback();
+                return 'Playback paused';
+                
+            case 'resume':
+            case 'play':
+                resumePlayback();
+                return 'Playback resumed';
+                
             case 'skip':
                 onSkipTrack();
                 return 'Skipped to next track';
@@ -2377,6 +7806,13 @@ function handleAudioCommand(args, value) {
                 scanTracks();
                 return 'Rescanning tracks...';
                 
+            case 'readtags':
+                if (isReadingEmbeddedTags) {
+                    return 'Already reading embedded tags';
+                }
+                readAllEmbeddedTags();
+                return 'Reading embedded tags...';
+                
             case 'migrate':
             case 'fix':
             case 'fix-metadata':
@@ -2390,6 +7826,14 @@ function handleAudioCommand(args, value) {
                 if (extension_settings.audio.mode === 'playlist' && extension_settings.audio.active_playlist) {
                     status.push(`Active Playlist: ${extension_settings.audio.active_playlist}`);
                 }
+                status.push(`Chat Soundtrack: ${getChatSoundtrack() ? 'Pinned' : 'Not pinned'}`);
+                if (playQueue.length > 0) {
+                    status.push(`Queue: ${playQueue.map(getTrackTitle).join(', ')}`);
+                }
+                status.push(`Ambience Volume: ${extension_settings.audio.ambient_volume}%${extension_settings.audio.ambient_muted ? ' (muted)' : ''}`);
+                if (extension_settings.audio.ambient_layers.length > 0) {
+                    status.push(`Ambience: ${extension_settings.audio.ambient_layers.map(getTrackTitle).join(', ')}`);
+                }
                 if (currentTrack) {
                     const metadata = trackLibrary.metadata[currentTrack] || {};
                     const filename = currentTrack.split('/').pop();
@@ -2397,7 +7841,24 @@ function handleAudioCommand(args, value) {
                 }
                 status.push(`Emotion Detection: ${extension_settings.audio.emotion_detection ? 'On' : 'Off'}`);
                 if (extension_settings.audio.emotion_detection) {
-                    status.push(`Current Emotion: ${currentEmotion}`);
+                    status.push(`Emotion Source: ${extension_settings.audio.emotion_source}`);
+                    status.push(`Current Emotion: ${currentEmotion} (confidence ${Math.round(emotionConfidence * 100)}%)`);
+                    if (extension_settings.audio.emotion_smoothing !== 'off') {
+                        status.push(`Emotion Smoothing: ${extension_settings.audio.emotion_smoothing}, readings: ${emotionReadings.join(' → ') || 'none'}`);
+                    }
+                }
+                const trigger = getActiveTrigger();
+                if (trigger) {
+                    status.push(`Chat Trigger: ${trigger.name || trigger.pattern} ${describeTriggerTarget(trigger)}`);
+                }
+                if (activeCue) {
+                    status.push(`Music Cue: ${describeCue(activeCue)}`);
+                }
+                if (sceneEntries.length > 0) {
+                    status.push(`World Info Scene: ${sceneEntries.map(describeSceneEntry).join(', ')}`);
+                }
+                if (getSceneContext().length > 0) {
+                    status.push(`Scene Tags: ${getSceneContext().join(', ')}`);
                 }
                 status.push(`Shuffle: ${extension_settings.audio.shuffle ? 'On' : 'Off'}`);
                 status.push(`Loop: ${extension_settings.audio.loop_single ? 'On' : 'Off'}`);
@@ -2407,6 +7868,9 @@ function handleAudioCommand(args, value) {
                 }
                 return status.join('\n');
                 
+            case 'history':
+                return describeHistory();
+                
             case 'nowplaying':
                 if (!currentTrack) return '';
                 const metadata = trackLibrary.metadata[currentTrack] || {};
@@ -2421,19 +7885,7 @@ function handleAudioCommand(args, value) {
         const trackQuery = value.trim();
         const playlistName = args.playlist;
         
-        // Find track by name or title
-        const allTracks = [
-            ...trackLibrary.global,
-            ...Object.values(trackLibrary.character).flat()
-        ];
-        
-        const matchingTrack = allTracks.find(path => {
-            const filename = path.split('/').pop();
-            const metadata = trackLibrary.metadata[path] || {};
-            const title = metadata.title || filename;
-            return title.toLowerCase().includes(trackQuery.toLowerCase()) || 
-                   filename.toLowerCase().includes(trackQuery.toLowerCase());
-        });
+        const matchingTrack = findTrackByQuery(trackQuery);
         
         if (!matchingTrack) {
             return `Track not found: ${trackQuery}`;
@@ -2472,6 +7924,9 @@ function handleAudioCommand(args, value) {
             extension_settings.audio.mode = args.mode;
             $('#audio_mode').val(args.mode);
             updateModeUI();
+            if (args.mode === 'playlist') {
+                applyPlaylistAmbience(extension_settings.audio.active_playlist);
+            }
             if (extension_settings.audio.enabled) {
                 const track = selectTrack();
                 if (track) playTrack(track);
@@ -2490,6 +7945,7 @@ function handleAudioCommand(args, value) {
             if (extension_settings.audio.playlists[args.playlist]) {
                 extension_settings.audio.active_playlist = args.playlist;
                 $('#audio_playlist_select').val(args.playlist);
+                applyPlaylistAmbience(args.playlist);
                 if (extension_settings.audio.enabled && extension_settings.audio.mode === 'playlist') {
                     const track = selectTrack();
                     if (track) playTrack(track);
@@ -2506,7 +7962,7 @@ function handleAudioCommand(args, value) {
     if ('emotion' in args) {
         if (args.emotion === '') {
             return extension_settings.audio.songs_emotion_filter;
-        } else if (args.emotion === 'all' || EMOTION_TAGS.includes(args.emotion)) {
+        } else if (args.emotion === 'all' || isEmotionTag(args.emotion)) {
             extension_settings.audio.songs_emotion_filter = args.emotion;
             $('#audio_songs_emotion_filter').val(args.emotion);
             if (extension_settings.audio.enabled && extension_settings.audio.mode === 'songs') {
@@ -2518,6 +7974,33 @@ function handleAudioCommand(args, value) {
         }
     }
     
+    // Emotion source
+    if ('emotionsource' in args) {
+        if (args.emotionsource === '') {
+            return extension_settings.audio.emotion_source;
+        } else if (['sprite', 'classify', 'sprite_first', 'classify_first'].includes(args.emotionsource)) {
+            extension_settings.audio.emotion_source = args.emotionsource;
+            $('#audio_emotion_source').val(args.emotionsource);
+            updateClassifiedEmotion();
+            hasChanges = true;
+            results.push(`Emotion source set to: ${args.emotionsource}`);
+        }
+    }
+    
+    // Emotion smoothing
+    if ('smoothing' in args) {
+        if (args.smoothing === '') {
+            return extension_settings.audio.emotion_smoothing;
+        } else if (['off', 'consecutive', 'dominance'].includes(args.smoothing)) {
+            extension_settings.audio.emotion_smoothing = args.smoothing;
+            $('#audio_emotion_smoothing').val(args.smoothing);
+            emotionReadings = [];
+            updateSmoothingUI();
+            hasChanges = true;
+            results.push(`Emotion smoothing set to: ${args.smoothing}`);
+        }
+    }
+    
     // Auto-switch (emotion detection)
     if ('autoswitch' in args) {
         if (args.autoswitch === '') {
@@ -2526,6 +8009,7 @@ function handleAudioCommand(args, value) {
             const enabled = args.autoswitch === 'on' || args.autoswitch === 'true';
             extension_settings.audio.emotion_detection = enabled;
             $('#audio_emotion_detection').prop('checked', enabled);
+            updateClassifiedEmotion();
             hasChanges = true;
             results.push(`Auto-switch: ${enabled ? 'on' : 'off'}`);
         }
@@ -2552,7 +8036,7 @@ function handleAudioCommand(args, value) {
             const enabled = args.loop === 'on' || args.loop === 'true';
             extension_settings.audio.loop_single = enabled;
             $('#audio_loop_single').prop('checked', enabled);
-            $('#audio_bgm')[0].loop = enabled;
+            applyLoopMode(getBgmPlayer());
             if (enabled) {
                 $('#audio_loop_single').addClass('redOverlayGlow');
             } else {
@@ -2573,7 +8057,7 @@ function handleAudioCommand(args, value) {
                 extension_settings.audio.bgm_volume = vol;
                 $('#audio_bgm_volume_slider').val(vol);
                 $('#audio_bgm_volume').text(vol);
-                $('#audio_bgm')[0].volume = vol * 0.01;
+                applyBgmVolume();
                 $('#miniplayer_volume').val(vol);
                 updateMiniplayerContent();
                 hasChanges = true;
@@ -2582,6 +8066,110 @@ function handleAudioCommand(args, value) {
         }
     }
     
+    // Ambience layers: "rain, wind" replaces, "+rain" adds, "-rain" removes, "off" clears
+    if ('ambient' in args) {
+        if (args.ambient === '') {
+            return extension_settings.audio.ambient_layers.map(getTrackTitle).join(', ');
+        } else {
+            const spec = args.ambient.trim();
+            
+            if (['off', 'none', 'clear', 'stop'].includes(spec.toLowerCase())) {
+                setAmbientLayers([]);
+                results.push('Ambience cleared');
+            } else {
+                const operation = spec.startsWith('+') || spec.startsWith('-') ? spec[0] : '';
+                const paths = resolveAmbientTerms(parseTagList(operation ? spec.slice(1) : spec));
+                
+                if (paths.length === 0) {
+                    results.push(`No ambient tracks match: ${spec}`);
+                } else if (operation === '+') {
+                    setAmbientLayers([...extension_settings.audio.ambient_layers, ...paths]);
+                    results.push(`Ambience added: ${paths.map(getTrackTitle).join(', ')}`);
+                } else if (operation === '-') {
+                    setAmbientLayers(extension_settings.audio.ambient_layers.filter(p => !paths.includes(p)));
+                    results.push(`Ambience removed: ${paths.map(getTrackTitle).join(', ')}`);
+                } else {
+                    setAmbientLayers(paths);
+                    results.push(`Ambience set to: ${paths.map(getTrackTitle).join(', ')}`);
+                }
+            }
+            hasChanges = true;
+        }
+    }
+    
+    // Ambience volume
+    if ('ambientvolume' in args) {
+        if (args.ambientvolume === '') {
+            return String(extension_settings.audio.ambient_volume);
+        } else {
+            const vol = parseInt(args.ambientvolume);
+            if (!isNaN(vol) && vol >= 0 && vol <= 100) {
+                setAmbientVolume(vol);
+                hasChanges = true;
+                results.push(`Ambience volume set to: ${vol}%`);
+            }
+        }
+    }
+    
+    // Ambience mute
+    if ('ambientmute' in args) {
+        if (args.ambientmute === '') {
+            return extension_settings.audio.ambient_muted ? 'on' : 'off';
+        } else {
+            const muted = args.ambientmute === 'on' || args.ambientmute === 'true';
+            if (muted !== extension_settings.audio.ambient_muted) {
+                onAmbientMuteClick();
+            }
+            hasChanges = true;
+            results.push(`Ambience mute: ${muted ? 'on' : 'off'}`);
+        }
+    }
+    
+    // Character defaults
+    if ('chardefault' in args) {
+        const characterName = getContext().name2;
+        const action = args.chardefault.trim().toLowerCase();
+        
+        if (!characterName) {
+            return 'No character selected';
+        }
+        
+        if (action === '' || action === 'show') {
+            return describeCharacterDefault(characterName);
+        } else if (action === 'save') {
+            saveCharacterDefault(characterName);
+            results.push(`Saved current settings as ${characterName}'s default`);
+        } else if (action === 'clear') {
+            clearCharacterDefault(characterName);
+            results.push(`Cleared music defaults for ${characterName}`);
+        } else {
+            results.push(`Unknown chardefault action: ${args.chardefault} (use save, clear or show)`);
+        }
+    }
+    
+    // Chat soundtrack pinning
+    if ('chat' in args) {
+        const action = args.chat.trim().toLowerCase();
+        
+        if (action === '' || action === 'show') {
+            return describeChatSoundtrack();
+        } else if (action === 'pin') {
+            results.push(pinChatSoundtrack() ? 'Pinned current setup to this chat' : 'No chat open');
+        } else if (action === 'unpin') {
+            results.push(unpinChatSoundtrack() ? 'Unpinned this chat\'s soundtrack' : 'This chat has no pinned soundtrack');
+        } else {
+            results.push(`Unknown chat action: ${args.chat} (use pin, unpin or show)`);
+        }
+    }
+    
+    // Scene tags (/d-audio scene=forest, night replaces them all)
+    if ('scene' in args) {
+        if (args.scene === '') {
+            return getSceneContext().join(', ');
+        }
+        results.push(setSceneContext(parseTagList(args.scene)) ? `Scene tags: ${getSceneContext().join(', ')}` : 'No chat open');
+    }
+    
     // Miniplayer
     if ('miniplayer' in args) {
         if (args.miniplayer === '') {
@@ -2651,12 +8239,16 @@ function onEnabledClick() {
     extension_settings.audio.enabled = $('#audio_enabled').is(':checked');
     
     if (extension_settings.audio.enabled) {
+        syncCharacterDefaults(false);
+        updateClassifiedEmotion();
+        evaluateTriggers(false);
         const track = selectTrack();
         if (track) playTrack(track);
     } else {
-        $('#audio_bgm')[0].pause();
+        fadeOutMusic();
     }
     
+    syncAmbientPlayers();
     updateMiniplayerVisibility();
     saveSettingsDebounced();
 }
@@ -2665,6 +8257,10 @@ function onModeChange() {
     extension_settings.audio.mode = $('#audio_mode').val();
     updateModeUI();
     
+    if (extension_settings.audio.mode === 'playlist') {
+        applyPlaylistAmbience(extension_settings.audio.active_playlist);
+    }
+    
     if (extension_settings.audio.enabled) {
         const track = selectTrack();
         if (track) playTrack(track);
@@ -2676,7 +8272,7 @@ function onModeChange() {
 function onVolumeChange() {
     extension_settings.audio.bgm_volume = parseInt($('#audio_bgm_volume_slider').val());
     $('#audio_bgm_volume').text(extension_settings.audio.bgm_volume);
-    $('#audio_bgm')[0].volume = extension_settings.audio.bgm_volume * 0.01;
+    applyBgmVolume();
     
     // Update miniplayer volume slider
     $('#miniplayer_volume').val(extension_settings.audio.bgm_volume);
@@ -2689,7 +8285,7 @@ function onVolumeChange() {
 
 function onMuteClick() {
     extension_settings.audio.bgm_muted = !extension_settings.audio.bgm_muted;
-    $('#audio_bgm')[0].muted = extension_settings.audio.bgm_muted;
+    applyBgmVolume();
     
     const icon = extension_settings.audio.bgm_muted ? 'fa-volume-mute' : 'fa-volume-high';
     $('#audio_bgm_mute_icon').removeClass('fa-volume-high fa-volume-mute').addClass(icon);
@@ -2699,7 +8295,17 @@ function onMuteClick() {
 }
 
 function onSkipTrack() {
-    const track = selectTrack(true);
+    if (currentTrack) {
+        recordSkipStat(currentTrack);
+    }
+    
+    // After stepping back, Skip walks forward through history before picking anything new (unless something is queued)
+    if (stepForward()) {
+        cooldownTimer = extension_settings.audio.cooldown * 1000;
+        return;
+    }
+    
+    const track = getNextTrack();
     if (track) {
         playTrack(track);
         cooldownTimer = extension_settings.audio.cooldown * 1000;
@@ -2707,20 +8313,14 @@ function onSkipTrack() {
 }
 
 function onPreviousTrack() {
-    if (previousTrack) {
-        const temp = currentTrack;
-        playTrack(previousTrack);
-        previousTrack = temp;
-    }
+    stepBack();
 }
 
 function onProgressInput() {
-    const audio = $('#audio_bgm')[0];
+    const audio = getBgmPlayer();
     if (!audio.duration) return;
     
-    const percent = parseFloat($('#audio_progress').val());
-    const newTime = (percent / 100) * audio.duration;
-    audio.currentTime = newTime;
+    audio.currentTime = getSeekTime(audio, parseFloat($('#audio_progress').val()));
     
     updateProgressBar();
 }
@@ -2732,10 +8332,6 @@ function onProgressInput() {
 jQuery(async () => {
     console.log('[Audio Extension] Loading Dynamic Audio Redux...');
     
-    const emotionOptionsHtml = EMOTION_TAGS.map(tag => 
-        `<option value="${tag}">${tag.charAt(0).toUpperCase() + tag.slice(1)}</option>`
-    ).join('');
-    
     const settingsHtml = `
     <div id="audio_settings">
         <div class="inline-drawer">
@@ -2772,6 +8368,10 @@ jQuery(async () => {
                             <input type="checkbox" id="audio_instrumental_include_global">
                             <span>Include Global</span>
                         </label>
+                        <label class="checkbox_label" for="audio_instrumental_require_scene" title="Only play tracks carrying every tag set with /d-audio scene">
+                            <input type="checkbox" id="audio_instrumental_require_scene">
+                            <span>Require scene tags</span>
+                        </label>
                     </div>
                 </div>
                 
@@ -2781,7 +8381,6 @@ jQuery(async () => {
                         <label for="audio_songs_emotion_filter">Filter by Emotion</label>
                         <select id="audio_songs_emotion_filter" class="text_pole">
                             <option value="all">All Songs</option>
-                            ${emotionOptionsHtml}
                         </select>
                     </div>
                     <div class="flex-container" style="gap: 1em; margin-top: 0.5em;">
@@ -2811,6 +8410,34 @@ jQuery(async () => {
                 
                 <hr>
                 
+                <!-- Character Defaults -->
+                <div class="flex-container flexFlowColumn">
+                    <h4>Character Defaults</h4>
+                    <div id="audio_char_default_status" style="font-size: 0.85em; opacity: 0.8; margin-bottom: 0.5em;"></div>
+                    <div class="flex-container alignItemsCenter" style="gap: 0.5em;">
+                        <label for="audio_char_volume_offset" style="white-space: nowrap;">Volume offset</label>
+                        <input id="audio_char_volume_offset" class="text_pole" type="number" min="-100" max="100" value="0" style="width: 6em;">
+                    </div>
+                    <div class="flex-container" style="gap: 0.5em; margin-top: 0.5em;">
+                        <button id="audio_char_default_save" class="menu_button" style="flex: 1;">
+                            <i class="fa-solid fa-user-check"></i> Save as Character Default
+                        </button>
+                        <button id="audio_char_default_clear" class="menu_button" style="flex: 1;">
+                            <i class="fa-solid fa-user-xmark"></i> Clear
+                        </button>
+                    </div>
+                    <small style="opacity: 0.7; font-size: 0.85em;">Stores the mode, playlist, emotion filter, include-global flags and volume offset, and applies them whenever this character is opened</small>
+                    
+                    <label class="checkbox_label" for="audio_chat_pin" style="margin-top: 0.75em;">
+                        <input type="checkbox" id="audio_chat_pin">
+                        <span>Pin soundtrack to this chat</span>
+                    </label>
+                    <div id="audio_chat_pin_status" style="font-size: 0.85em; opacity: 0.8;"></div>
+                    <small style="opacity: 0.7; font-size: 0.85em;">Overrides the character and global settings for this chat only and resumes the last track where it left off. Re-pin to update.</small>
+                </div>
+                
+                <hr>
+                
                 <!-- Miniplayer Settings -->
                 <div class="flex-container flexFlowColumn">
                     <h4>Miniplayer</h4>
@@ -2856,6 +8483,9 @@ jQuery(async () => {
                         <button id="audio_previous" class="menu_button">
                             <i class="fa-solid fa-backward"></i> Previous
                         </button>
+                        <button id="audio_pause" class="menu_button">
+                            <i class="fa-solid fa-pause"></i> <span>Pause</span>
+                        </button>
                         <button id="audio_skip" class="menu_button">
                             <i class="fa-solid fa-forward"></i> Skip
                         </button>
@@ -2864,15 +8494,197 @@ jQuery(async () => {
                         </button>
                     </div>
                     <audio id="audio_bgm" style="display: none;"></audio>
+                    <audio id="audio_bgm_alt" style="display: none;"></audio>
+                </div>
+                
+                <hr>
+                
+                <!-- Play Queue -->
+                <div class="flex-container flexFlowColumn">
+                    <div class="flex-container alignItemsCenter" style="justify-content: space-between;">
+                        <h4 style="margin: 0;">Up Next</h4>
+                        <button id="audio_queue_clear" class="menu_button menu_button_icon" title="Clear queue">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                    </div>
+                    <div id="queue_list" style="margin: 0.5em 0;"></div>
+                    <label class="checkbox_label" for="audio_emotion_respects_queue">
+                        <input type="checkbox" id="audio_emotion_respects_queue">
+                        <span>Emotion changes wait for queued tracks</span>
+                    </label>
+                    <small style="opacity: 0.7; font-size: 0.85em;">Use the queue buttons in the track library to line up tracks</small>
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <h4 style="margin: 0;">Recently Played</h4>
+                    <div id="history_list" style="max-height: 150px; overflow-y: auto; margin-top: 0.5em;"></div>
+                </div>
+                
+                <hr>
+                
+                <!-- Ambience Channel -->
+                <div class="flex-container flexFlowColumn">
+                    <h4>Ambience</h4>
+                    <div class="flex-container alignItemsCenter" style="margin-bottom: 0.5em;">
+                        <button id="audio_ambient_mute" class="menu_button menu_button_icon">
+                            <i class="fa-solid fa-cloud-rain" id="audio_ambient_mute_icon"></i>
+                        </button>
+                        <input type="range" id="audio_ambient_volume_slider" min="0" max="100" value="50" style="flex: 1;">
+                        <span id="audio_ambient_volume" style="min-width: 3em; text-align: right;">50</span>%
+                    </div>
+                    <div id="ambient_layer_list" style="margin-bottom: 0.5em;"></div>
+                    <div class="flex-container alignItemsCenter" style="gap: 0.5em;">
+                        <select id="audio_ambient_add_select" class="text_pole" style="flex: 1;"></select>
+                        <button id="audio_ambient_add" class="menu_button menu_button_icon" title="Add ambient layer">
+                            <i class="fa-solid fa-plus"></i>
+                        </button>
+                        <button id="audio_ambient_clear" class="menu_button menu_button_icon" title="Stop all ambience">
+                            <i class="fa-solid fa-stop"></i>
+                        </button>
+                    </div>
+                    <small style="opacity: 0.7; font-size: 0.85em;">Tag tracks as "Ambient loop" in the track editor to layer them here</small>
                 </div>
                 
                 <hr>
                 
                 <div class="flex-container flexFlowColumn">
+                    <label for="audio_emotion_source">Emotion source</label>
+                    <select id="audio_emotion_source" class="text_pole">
+                        <option value="sprite">Character sprite</option>
+                        <option value="classify">Classify latest message</option>
+                        <option value="sprite_first">Sprite, then classifier</option>
+                        <option value="classify_first">Classifier, then sprite</option>
+                    </select>
+                    <small style="opacity: 0.7; font-size: 0.85em;">The classifier reads the character's latest message, so it works without sprites</small>
+                    <button id="audio_edit_vocabulary" class="menu_button" style="width: 100%; margin-top: 0.3em;">
+                        <i class="fa-solid fa-book"></i> Edit Emotion Vocabulary
+                    </button>
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <label for="audio_emotion_smoothing">Emotion smoothing</label>
+                    <select id="audio_emotion_smoothing" class="text_pole">
+                        <option value="off">Off (switch on every change)</option>
+                        <option value="consecutive">Consecutive readings</option>
+                        <option value="dominance">Dominant in recent messages</option>
+                    </select>
+                    <div id="audio_emotion_window_row" class="flex-container alignItemsCenter" style="gap: 0.5em; margin-top: 0.3em;">
+                        <label for="audio_emotion_window" style="flex: 1;">Readings to remember (one per message)</label>
+                        <input id="audio_emotion_window" class="text_pole" type="number" min="1" max="20" style="width: 5em;">
+                    </div>
+                    <div id="audio_emotion_consecutive_row" class="flex-container alignItemsCenter" style="gap: 0.5em;">
+                        <label for="audio_emotion_min_consecutive" style="flex: 1;">Consecutive readings needed</label>
+                        <input id="audio_emotion_min_consecutive" class="text_pole" type="number" min="1" max="20" style="width: 5em;">
+                    </div>
+                    <div id="audio_emotion_dominance_row" class="flex-container alignItemsCenter" style="gap: 0.5em;">
+                        <label for="audio_emotion_dominance" style="flex: 1;">Share of readings needed (%)</label>
+                        <input id="audio_emotion_dominance" class="text_pole" type="number" min="1" max="100" style="width: 5em;">
+                    </div>
+                    <label class="checkbox_label" for="audio_emotion_ignore_transient" style="margin-top: 0.3em;">
+                        <input type="checkbox" id="audio_emotion_ignore_transient">
+                        <span>Ignore transient emotions</span>
+                    </label>
+                    <input id="audio_emotion_transient" class="text_pole" type="text" placeholder="e.g. surprise, realization, confusion">
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <label>When no track matches the emotion</label>
+                    <label class="checkbox_label" for="audio_emotion_fallback_enabled">
+                        <input type="checkbox" id="audio_emotion_fallback_enabled">
+                        <span>Try similar emotions first (e.g. grief → sadness → remorse)</span>
+                    </label>
+                    <label class="checkbox_label" for="audio_emotion_fallback_groups">
+                        <input type="checkbox" id="audio_emotion_fallback_groups">
+                        <span>Then emotions with the same mood and energy</span>
+                    </label>
+                    <button id="audio_edit_fallbacks" class="menu_button" style="width: 100%;">
+                        <i class="fa-solid fa-diagram-project"></i> Edit Emotion Fallbacks
+                    </button>
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
                     <label for="audio_cooldown">Cooldown between auto-switches (seconds)</label>
                     <input id="audio_cooldown" class="text_pole" type="number" value="30" min="0">
                 </div>
                 
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <label class="checkbox_label" for="audio_triggers_enabled">
+                        <input type="checkbox" id="audio_triggers_enabled">
+                        <span>Switch music on chat keywords</span>
+                    </label>
+                    <button id="audio_edit_triggers" class="menu_button" style="width: 100%;">
+                        <i class="fa-solid fa-bolt"></i> Edit Chat Triggers
+                    </button>
+                    <label class="checkbox_label" for="audio_cues_enabled">
+                        <input type="checkbox" id="audio_cues_enabled">
+                        <span>Follow [bgm:...] cues in messages</span>
+                    </label>
+                    <label class="checkbox_label" for="audio_cues_hide">
+                        <input type="checkbox" id="audio_cues_hide">
+                        <span>Hide cues in the chat</span>
+                    </label>
+                    <label class="checkbox_label" for="audio_scenes_enabled">
+                        <input type="checkbox" id="audio_scenes_enabled">
+                        <span>Follow active World Info entries</span>
+                    </label>
+                    <button id="audio_edit_scenes" class="menu_button" style="width: 100%;">
+                        <i class="fa-solid fa-book-atlas"></i> Edit World Info Scenes
+                    </button>
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <label>Shuffle (0 = off)</label>
+                    <div class="flex-container" style="gap: 0.5em;">
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="audio_shuffle_avoid_tracks" style="font-size: 0.85em;">No repeat within tracks</label>
+                            <input id="audio_shuffle_avoid_tracks" class="text_pole" type="number" min="0" max="${HISTORY_LIMIT}">
+                        </div>
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="audio_shuffle_avoid_minutes" style="font-size: 0.85em;">No repeat within minutes</label>
+                            <input id="audio_shuffle_avoid_minutes" class="text_pole" type="number" min="0">
+                        </div>
+                    </div>
+                    <label class="checkbox_label" for="audio_shuffle_weight_recent">
+                        <input type="checkbox" id="audio_shuffle_weight_recent">
+                        <span>Prefer tracks played least recently</span>
+                    </label>
+                    <label class="checkbox_label" for="audio_rating_weighting">
+                        <input type="checkbox" id="audio_rating_weighting">
+                        <span>Play higher-rated and favorite tracks more often</span>
+                    </label>
+                    <label class="checkbox_label" for="audio_loudness_normalization">
+                        <input type="checkbox" id="audio_loudness_normalization">
+                        <span>Even out loudness between tracks</span>
+                    </label>
+                </div>
+                
+                <div class="flex-container flexFlowColumn" style="margin-top: 0.5em;">
+                    <label>Crossfade durations (seconds, 0 = instant cut)</label>
+                    <div class="flex-container" style="gap: 0.5em;">
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="crossfade_emotion" style="font-size: 0.85em;">Emotion switch</label>
+                            <input id="crossfade_emotion" class="text_pole" type="number" min="0" step="0.5">
+                        </div>
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="crossfade_manual" style="font-size: 0.85em;">Skip / Previous</label>
+                            <input id="crossfade_manual" class="text_pole" type="number" min="0" step="0.5">
+                        </div>
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="crossfade_natural" style="font-size: 0.85em;">Track end</label>
+                            <input id="crossfade_natural" class="text_pole" type="number" min="0" step="0.5">
+                        </div>
+                        <div class="flex-container flexFlowColumn" style="flex: 1;">
+                            <label for="fade_stop" style="font-size: 0.85em;">Pause / Stop</label>
+                            <input id="fade_stop" class="text_pole" type="number" min="0" step="0.5">
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="flex-container alignItemsCenter" style="margin-top: 0.5em; gap: 0.5em;">
+                    <label for="audio_loop_repeats" style="flex: 1;">Play loop sections this many times before moving on (0 = keep looping)</label>
+                    <input id="audio_loop_repeats" class="text_pole" type="number" min="0" step="1" style="width: 5em;">
+                </div>
+                
                 <div class="flex-container" style="margin-top: 0.5em;">
                     <label class="checkbox_label" for="audio_debug_mode">
                         <input type="checkbox" id="audio_debug_mode">
@@ -2887,7 +8699,29 @@ jQuery(async () => {
                     <button id="audio_scan_tracks" class="menu_button" style="width: 100%;">
                         <i class="fa-solid fa-refresh"></i> Scan for Tracks
                     </button>
+                    <button id="audio_open_stats" class="menu_button" style="width: 100%;">
+                        <i class="fa-solid fa-chart-simple"></i> Listening Stats
+                    </button>
+                    <div class="flex-container" style="gap: 0.5em;">
+                        <button id="audio_export_library" class="menu_button" style="flex: 1;" title="Save tags, playlists and emotion settings to a file">
+                            <i class="fa-solid fa-file-export"></i> Export Library
+                        </button>
+                        <button id="audio_import_library" class="menu_button" style="flex: 1;" title="Load tags, playlists and emotion settings from a file">
+                            <i class="fa-solid fa-file-import"></i> Import Library
+                        </button>
+                        <input type="file" id="audio_library_file" accept=".json,application/json" style="display: none;">
+                    </div>
+                    <button id="audio_read_tags" class="menu_button" style="width: 100%;" title="Fill empty titles, artists and albums from the files' own tags">
+                        <i class="fa-solid fa-tag"></i> Read Embedded Tags
+                    </button>
+                    <button id="audio_analyze_loudness" class="menu_button" style="width: 100%;">
+                        <i class="fa-solid fa-wave-square"></i> Analyze Loudness
+                    </button>
                     <div class="flex-container flexFlowColumn" style="margin-top: 0.5em; gap: 0.3em;">
+                        <label class="checkbox_label" for="audio_read_embedded_tags">
+                            <input type="checkbox" id="audio_read_embedded_tags">
+                            <span>Read embedded tags from new files</span>
+                        </label>
                         <label class="checkbox_label" for="audio_show_global_tracks">
                             <input type="checkbox" id="audio_show_global_tracks">
                             <span>Show Global Tracks</span>
@@ -2916,8 +8750,64 @@ jQuery(async () => {
     $('#audio_bgm_volume_slider').on('input', onVolumeChange);
     $('#audio_bgm_mute').on('click', onMuteClick);
     $('#audio_previous').on('click', onPreviousTrack);
+    $('#audio_pause').on('click', () => {
+        if (isPaused) {
+            resumePlayback();
+        } else {
+            pausePlayback();
+        }
+    });
     $('#audio_skip').on('click', onSkipTrack);
     $('#audio_scan_tracks').on('click', scanTracks);
+    $('#audio_open_stats').on('click', openStatsDashboard);
+    $('#audio_read_tags').on('click', async () => {
+        const button = $('#audio_read_tags');
+        button.prop('disabled', true);
+        try {
+            alert(await readAllEmbeddedTags());
+        } finally {
+            button.prop('disabled', false);
+        }
+    });
+    $('#audio_analyze_loudness').on('click', openLoudnessAnalyzer);
+    
+    $('#audio_read_embedded_tags').on('change', () => {
+        extension_settings.audio.read_embedded_tags = $('#audio_read_embedded_tags').is(':checked');
+        saveSettingsDebounced();
+    });
+    $('#audio_export_library').on('click', exportLibraryBundle);
+    $('#audio_import_library').on('click', () => $('#audio_library_file').trigger('click'));
+    
+    $('#audio_library_file').on('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        
+        try {
+            showBundleImportUI(await readLibraryBundle(file));
+        } catch (error) {
+            console.error(DEBUG_PREFIX, 'Failed to import library bundle:', error);
+            alert(`Could not import library: ${error.message}`);
+        }
+    });
+    
+    // Ambience controls
+    $('#audio_ambient_mute').on('click', onAmbientMuteClick);
+    $('#audio_ambient_volume_slider').on('input', () => {
+        setAmbientVolume(parseInt($('#audio_ambient_volume_slider').val()));
+    });
+    $('#audio_ambient_add').on('click', () => {
+        const path = $('#audio_ambient_add_select').val();
+        if (path) addAmbientLayer(path);
+    });
+    $('#audio_ambient_clear').on('click', () => setAmbientLayers([]));
+    
+    $('#audio_queue_clear').on('click', clearQueue);
+    
+    $('#audio_emotion_respects_queue').on('change', () => {
+        extension_settings.audio.emotion_respects_queue = $('#audio_emotion_respects_queue').is(':checked');
+        saveSettingsDebounced();
+    });
     
     // Miniplayer settings
     $('#audio_miniplayer_enabled').on('change', () => {
@@ -2944,18 +8834,17 @@ jQuery(async () => {
     
     $('#audio_progress').on('input', () => {
         if (isSeeking) {
-            const audio = $('#audio_bgm')[0];
+            const audio = getBgmPlayer();
             if (audio.duration) {
-                const percent = parseFloat($('#audio_progress').val());
-                const newTime = (percent / 100) * audio.duration;
-                $('#audio_current_time').text(formatTime(newTime));
+                const newTime = getSeekTime(audio, parseFloat($('#audio_progress').val()));
+                $('#audio_current_time').text(formatTime(newTime - getPlaybackRange(audio).start));
             }
         }
     });
     
     $('#audio_loop_single').on('click', () => {
         extension_settings.audio.loop_single = !extension_settings.audio.loop_single;
-        $('#audio_bgm')[0].loop = extension_settings.audio.loop_single;
+        applyLoopMode(getBgmPlayer());
         $('#audio_loop_single').toggleClass('redOverlayGlow');
         saveSettingsDebounced();
     });
@@ -2979,6 +8868,7 @@ jQuery(async () => {
     $('#audio_emotion_detection').on('change', () => {
         extension_settings.audio.emotion_detection = $('#audio_emotion_detection').is(':checked');
         saveSettingsDebounced();
+        updateClassifiedEmotion();
     });
     
     $('#audio_instrumental_include_global').on('change', () => {
@@ -2992,6 +8882,16 @@ jQuery(async () => {
         }
     });
     
+    $('#audio_instrumental_require_scene').on('change', () => {
+        extension_settings.audio.instrumental_require_scene = $('#audio_instrumental_require_scene').is(':checked');
+        saveSettingsDebounced();
+        
+        if (extension_settings.audio.enabled && extension_settings.audio.mode === 'instrumental') {
+            const track = selectTrack();
+            if (track) playTrack(track);
+        }
+    });
+    
     $('#audio_songs_emotion_filter').on('change', () => {
         extension_settings.audio.songs_emotion_filter = $('#audio_songs_emotion_filter').val();
         saveSettingsDebounced();
@@ -3004,6 +8904,7 @@ jQuery(async () => {
     
     $('#audio_playlist_select').on('change', () => {
         extension_settings.audio.active_playlist = $('#audio_playlist_select').val();
+        applyPlaylistAmbience(extension_settings.audio.active_playlist);
         saveSettingsDebounced();
         
         if (extension_settings.audio.enabled && extension_settings.audio.mode === 'playlist') {
@@ -3016,11 +8917,140 @@ jQuery(async () => {
         openPlaylistManager();
     });
     
+    $('#audio_char_default_save').on('click', () => {
+        const characterName = getContext().name2;
+        if (characterName) saveCharacterDefault(characterName);
+    });
+    
+    $('#audio_chat_pin').on('change', () => {
+        if ($('#audio_chat_pin').is(':checked')) {
+            pinChatSoundtrack();
+        } else {
+            unpinChatSoundtrack();
+        }
+    });
+    
+    $('#audio_char_default_clear').on('click', () => {
+        const characterName = getContext().name2;
+        if (characterName && confirm(`Clear music defaults for ${characterName}?`)) {
+            clearCharacterDefault(characterName);
+        }
+    });
+    
+    $('#audio_emotion_source').on('change', () => {
+        extension_settings.audio.emotion_source = $('#audio_emotion_source').val();
+        saveSettingsDebounced();
+        updateClassifiedEmotion();
+    });
+    
+    $('#audio_emotion_smoothing').on('change', () => {
+        extension_settings.audio.emotion_smoothing = $('#audio_emotion_smoothing').val();
+        emotionReadings = [];
+        updateSmoothingUI();
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_emotion_window, #audio_emotion_min_consecutive, #audio_emotion_dominance').on('input', function() {
+        const key = this.id.replace('audio_', '');
+        const value = parseInt($(this).val());
+        if (!isNaN(value) && value > 0) {
+            extension_settings.audio[key] = value;
+            saveSettingsDebounced();
+        }
+    });
+    
+    $('#audio_emotion_fallback_enabled').on('change', () => {
+        extension_settings.audio.emotion_fallback_enabled = $('#audio_emotion_fallback_enabled').is(':checked');
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_emotion_fallback_groups').on('change', () => {
+        extension_settings.audio.emotion_fallback_groups = $('#audio_emotion_fallback_groups').is(':checked');
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_edit_fallbacks').on('click', openFallbackEditor);
+    $('#audio_edit_triggers').on('click', openTriggerEditor);
+    
+    $('#audio_edit_scenes').on('click', openSceneEditor);
+    
+    $('#audio_scenes_enabled').on('change', () => {
+        extension_settings.audio.scenes_enabled = $('#audio_scenes_enabled').is(':checked');
+        saveSettingsDebounced();
+        if (!extension_settings.audio.scenes_enabled) {
+            sceneEntries = [];
+        }
+    });
+    
+    $('#audio_cues_enabled').on('change', () => {
+        extension_settings.audio.cues_enabled = $('#audio_cues_enabled').is(':checked');
+        saveSettingsDebounced();
+        restoreMusicCue();
+    });
+    
+    $('#audio_cues_hide').on('change', () => {
+        extension_settings.audio.cues_hide = $('#audio_cues_hide').is(':checked');
+        saveSettingsDebounced();
+        hideAllMusicCues();
+    });
+    
+    $('#audio_triggers_enabled').on('change', () => {
+        extension_settings.audio.triggers_enabled = $('#audio_triggers_enabled').is(':checked');
+        saveSettingsDebounced();
+        evaluateTriggers(false);
+    });
+    $('#audio_edit_vocabulary').on('click', openVocabularyEditor);
+    
+    $('#audio_emotion_ignore_transient').on('change', () => {
+        extension_settings.audio.emotion_ignore_transient = $('#audio_emotion_ignore_transient').is(':checked');
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_emotion_transient').on('input', () => {
+        extension_settings.audio.emotion_transient = parseTagList($('#audio_emotion_transient').val().toLowerCase());
+        saveSettingsDebounced();
+    });
+    
     $('#audio_cooldown').on('input', () => {
         extension_settings.audio.cooldown = parseInt($('#audio_cooldown').val());
         saveSettingsDebounced();
     });
     
+    $('#audio_shuffle_avoid_tracks, #audio_shuffle_avoid_minutes').on('input', function() {
+        const key = this.id.replace('audio_', '');
+        const value = parseInt($(this).val());
+        extension_settings.audio[key] = isNaN(value) ? 0 : Math.max(0, value);
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_shuffle_weight_recent').on('change', () => {
+        extension_settings.audio.shuffle_weight_recent = $('#audio_shuffle_weight_recent').is(':checked');
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_rating_weighting').on('change', () => {
+        extension_settings.audio.rating_weighting = $('#audio_rating_weighting').is(':checked');
+        saveSettingsDebounced();
+    });
+    
+    $('#audio_loudness_normalization').on('change', () => {
+        extension_settings.audio.loudness_normalization = $('#audio_loudness_normalization').is(':checked');
+        saveSettingsDebounced();
+        refreshTrackGains();
+    });
+    
+    $('#audio_loop_repeats').on('input', () => {
+        const value = parseInt($('#audio_loop_repeats').val());
+        extension_settings.audio.loop_repeats = isNaN(value) ? 0 : Math.max(0, value);
+        saveSettingsDebounced();
+    });
+    
+    $('#crossfade_emotion, #crossfade_manual, #crossfade_natural, #fade_stop').on('input', function() {
+        const value = parseFloat($(this).val());
+        extension_settings.audio[this.id] = isNaN(value) ? 0 : Math.max(0, value);
+        saveSettingsDebounced();
+    });
+    
     $('#audio_debug_mode').on('change', () => {
         extension_settings.audio.debug_mode = $('#audio_debug_mode').is(':checked');
         saveSettingsDebounced();
@@ -3039,16 +9069,17 @@ jQuery(async () => {
         updateTrackList();
     });
     
-    // Track ended handler
-    $('#audio_bgm').on('ended', () => {
-        if (!extension_settings.audio.loop_single) {
-            const track = selectTrack();
-            if (track) playTrack(track);
-        }
-    });
+    // Track ended handler (fallback when the natural crossfade is off or didn't trigger)
+    $('#audio_bgm, #audio_bgm_alt').on('ended', (event) => finishTrack(event.target));
+    
+    $('#audio_bgm, #audio_bgm_alt').on('timeupdate', onBgmTimeUpdate);
+    $('#audio_bgm, #audio_bgm_alt').on('play', onLoopPlayerPlay);
+    $('#audio_bgm, #audio_bgm_alt').on('play', onRoutedPlayerPlay);
+    $('#audio_bgm, #audio_bgm_alt').on('pause', onLoopPlayerPause);
+    $('#audio_bgm, #audio_bgm_alt').on('seeked', onLoopPlayerSeeked);
     
     // Audio metadata loaded
-    $('#audio_bgm').on('loadedmetadata', () => {
+    $('#audio_bgm, #audio_bgm_alt').on('loadedmetadata', () => {
         updateProgressBar();
         updateMiniplayerProgress();
     });
@@ -3060,6 +9091,37 @@ jQuery(async () => {
     await scanTracks();
     
     updatePlaylistDropdown();
+    updateAmbientUI();
+    updateQueueUI();
+    updateHistoryUI();
+    syncAmbientPlayers();
+    syncCharacterDefaults(false);
+    updateChatSoundtrackUI();
+    
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    eventSource.on(event_types.CHAT_CHANGED, updateClassifiedEmotion);
+    eventSource.on(event_types.MESSAGE_RECEIVED, updateClassifiedEmotion);
+    eventSource.on(event_types.MESSAGE_SWIPED, updateClassifiedEmotion);
+    eventSource.on(event_types.MESSAGE_EDITED, updateClassifiedEmotion);
+    eventSource.on(event_types.MESSAGE_DELETED, updateClassifiedEmotion);
+    eventSource.on(event_types.CHAT_CHANGED, () => evaluateTriggers(false));
+    eventSource.on(event_types.MESSAGE_RECEIVED, () => evaluateTriggers());
+    eventSource.on(event_types.MESSAGE_SENT, () => evaluateTriggers());
+    eventSource.on(event_types.MESSAGE_SWIPED, () => evaluateTriggers());
+    eventSource.on(event_types.MESSAGE_EDITED, () => evaluateTriggers());
+    eventSource.on(event_types.MESSAGE_DELETED, () => evaluateTriggers(false));
+    eventSource.on(event_types.MESSAGE_RECEIVED, onMessageCues);
+    eventSource.on(event_types.MESSAGE_SENT, onMessageCues);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+    eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, onMessageRendered);
+    eventSource.on(event_types.USER_MESSAGE_RENDERED, onMessageRendered);
+    eventSource.on(event_types.MESSAGE_UPDATED, onMessageRendered);
+    eventSource.on(event_types.MORE_MESSAGES_LOADED, hideAllMusicCues);
+    eventSource.on(event_types.GENERATION_STARTED, onSceneGenerationStarted);
+    eventSource.on(event_types.WORLD_INFO_ACTIVATED, onWorldInfoActivated);
+    eventSource.on(event_types.MESSAGE_RECEIVED, onSceneGenerationEnded);
+    eventSource.on(event_types.GENERATION_STOPPED, onSceneGenerationEnded);
     
     const totalTracks = trackLibrary.global.length + 
         Object.values(trackLibrary.character).reduce((sum, tracks) => sum + tracks.length, 0);
@@ -3092,15 +9154,18 @@ jQuery(async () => {
         `<div>
             <strong>/d-audio</strong> - Control Dynamic Audio Redux
             <br><br>
-            <strong>Actions:</strong> on, off, skip, prev, scan, migrate, status, nowplaying
+            <strong>Actions:</strong> on, off, pause, resume, skip, prev, scan, readtags, migrate, status, history, nowplaying, queue add|next|clear|list, scene clear
             <br>
-            <strong>Get/Set:</strong> mode, playlist, emotion, autoswitch, shuffle, loop, volume, miniplayer, position, cooldown, debug
+            <strong>Get/Set:</strong> mode, playlist, emotion, emotionsource, smoothing, autoswitch, shuffle, loop, volume, ambient, ambientvolume, ambientmute, chardefault, chat, scene, miniplayer, position, cooldown, debug
             <br>
             <strong>Examples:</strong>
             <br>• <code>/d-audio on</code>
             <br>• <code>/d-audio mode=instrumental autoswitch=on</code>
             <br>• <code>/d-audio playlist="My Playlist"</code>
+            <br>• <code>/d-audio ambient="rain, tavern"</code> (layer ambience; <code>+rain</code> adds, <code>-rain</code> removes, <code>off</code> clears)
             <br>• <code>/d-audio nowplaying</code> (returns current track)
+            <br>• <code>/d-audio queue add "track"</code> (<code>next</code> puts it at the front of the queue)
+            <br>• <code>/d-audio scene add=location:forest remove=location:town</code> (scene tags for this chat; <code>scene=</code> reads them)
             <br>• <code>/d-audio "track" playlist="Favorites"</code> (add track)
             <br>• <code>/d-audio migrate</code> (fix metadata after renaming files)
         </div>`,